@@ -1,45 +1,32 @@
 // server.js - Enhanced Node.js server with PostgreSQL using standard pg library
 require('dotenv').config(); // Load environment variables from .env file
 
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const {promisify} = require('util');
 const express = require('express');
 const cors = require('cors');
 const {Pool} = require('pg'); // Use standard pg library instead of @vercel/postgres
+const dbConfig = require('../db/config');
+const {migrationStatus} = require('../db/migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API cross-origin (the UI itself is served same-origin).
+// Set ALLOWED_ORIGINS to a comma-separated list to override the local dev defaults.
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || 'http://localhost:5501,http://127.0.0.1:5501')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({origin: allowedOrigins}));
+app.use(express.json({limit: '25mb'})); // backups posted to /api/restore can be several MB
 app.use(express.static('public'));
 
-// Parse POSTGRES_URL or use individual environment variables
-let dbConfig;
-if (process.env.POSTGRES_URL) {
-  dbConfig = {
-    connectionString: process.env.POSTGRES_URL,
-    ssl: false // Set to true if you need SSL
-  };
-  console.log('📡 Using POSTGRES_URL for connection');
-} else {
-  dbConfig = {
-    user: process.env.POSTGRES_USER || process.env.DB_USER || 'postgres',
-    password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD || 'yash2801',
-    host: process.env.POSTGRES_HOST || process.env.DB_HOST || '45.79.126.149',
-    port: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    database: process.env.POSTGRES_DATABASE || process.env.DB_NAME || 'gdees',
-    ssl: false
-  };
-  console.log('📡 Using individual environment variables for connection');
-}
-
-console.log('🔍 Database Config:', {
-  host: dbConfig.host || 'from connection string',
-  port: dbConfig.port || 'from connection string',
-  database: dbConfig.database || 'from connection string',
-  user: dbConfig.user || 'from connection string'
-});
-
 // Create PostgreSQL connection pool
 const pool = new Pool(dbConfig);
 
@@ -105,7 +92,7 @@ async function testConnection() {
     } else if (error.code === '28P01') {
       console.error('💡 Authentication failed - check username/password');
     } else if (error.code === '3D000') {
-      console.error('💡 Database "gdees" does not exist - create it first');
+      console.error(`💡 Database "${dbConfig.database || 'from POSTGRES_URL'}" does not exist - create it first`);
     }
 
     return false;
@@ -130,612 +117,6283 @@ async function query(text, params) {
   }
 }
 
-// Initialize database tables
-async function initializeDatabase() {
-  console.log('🚀 Initializing PostgreSQL database...');
-
-  try {
-    // Test connection first
-    const testResult = await query('SELECT NOW() as current_time, current_database() as database_name');
-    console.log('✅ Database connection successful!');
-    console.log('📅 Server time:', testResult.rows[0].current_time);
-    console.log('🗄️ Database name:', testResult.rows[0].database_name);
-
-    // Create vendors table
-    await query(`
-      CREATE TABLE IF NOT EXISTS vendors (
-        id BIGSERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        contact_person VARCHAR(255),
-        phone VARCHAR(50),
-        email VARCHAR(255),
-        payment_terms VARCHAR(50) DEFAULT 'advance' CHECK (payment_terms IN ('advance', 'credit', 'mixed')),
-        visit_frequency VARCHAR(50) DEFAULT 'weekly' CHECK (visit_frequency IN ('daily', 'weekly', 'biweekly', 'monthly')),
-        last_visit DATE,
-        next_visit DATE,
-        has_display VARCHAR(10) DEFAULT 'no' CHECK (has_display IN ('yes', 'no')),
-        display_rent DECIMAL(10,2) DEFAULT 0,
-        terms_conditions TEXT,
-        remarks TEXT,
-        status VARCHAR(50) DEFAULT 'active',
-        date_added DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create brands table
-    await query(`
-      CREATE TABLE IF NOT EXISTS brands (
-        id BIGSERIAL PRIMARY KEY,
-        vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        sku VARCHAR(100),
-        category VARCHAR(100) DEFAULT 'groceries' CHECK (category IN ('groceries', 'dairy', 'beverages', 'snacks', 'personal_care', 'household', 'bakery', 'frozen', 'other')),
-        date_added DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Run a callback inside a single transaction on a dedicated client
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-    // Create issues table
-    await query(`
-      CREATE TABLE IF NOT EXISTS issues (
-        id BIGSERIAL PRIMARY KEY,
-        vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
-        product_name VARCHAR(255) NOT NULL,
-        issue_type VARCHAR(100) NOT NULL CHECK (issue_type IN ('expired', 'damaged', 'defective', 'wrong_delivery', 'poor_quality', 'short_delivery', 'other')),
-        quantity INTEGER DEFAULT 1,
-        date_found DATE DEFAULT CURRENT_DATE,
-        estimated_loss DECIMAL(10,2) DEFAULT 0,
-        description TEXT,
-        status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'resolved')),
-        resolved_date DATE,
-        date_added DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// ===== Schema version =====
+// Tables are created and changed by the migrations in db/migrations, applied with
+// `npm run migrate`. The server never migrates by itself; it refuses to serve while
+// any migration this code depends on is still pending.
 
-    // Create invoice_payments table
-    await query(`
-      CREATE TABLE IF NOT EXISTS invoices (
-        id BIGSERIAL PRIMARY KEY,
-        vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
-        invoice_number VARCHAR(100) NOT NULL,
-        invoice_date DATE NOT NULL,
-        invoice_amount DECIMAL(12,2) NOT NULL,
-        total_items INTEGER DEFAULT 0,
-        due_date DATE,
-          invoice_status VARCHAR(50) DEFAULT 'pending' 
-              CHECK (invoice_status IN ('pending', 'paid', 'partial', 'overdue')),
-        date_added DATE DEFAULT CURRENT_DATE,
-        last_updated DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(vendor_id, invoice_number)
-      );
-    `);
+let schemaCurrent = false;
 
-    await query(`
-      CREATE TABLE IF NOT EXISTS invoice_payments (
-          id BIGSERIAL PRIMARY KEY,
-          invoice_id BIGINT REFERENCES invoices(id) ON DELETE CASCADE,
-          payment_date DATE NOT NULL,
-          payment_amount DECIMAL(12,2) NOT NULL,
-          payment_method VARCHAR(50) CHECK (payment_method IN ('cheque', 'cash', 'online', 'card', '')),
-          cheque_number VARCHAR(100),
-          cheque_date DATE,
-          payment_notes TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+// Error message when the database is behind this code, or null when it is current
+async function checkSchema() {
+  const {pending, unknown} = await migrationStatus(pool);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Database has migrations this code doesn't know about: ${unknown.map(row => row.version).join(', ')}`);
+  }
+  if (pending.length > 0) {
+    return `Database schema is behind: ${pending.length} migration(s) pending (${pending.map(m => m.file).join(', ')}). Run npm run migrate.`;
+  }
+  schemaCurrent = true;
+  return null;
+}
 
-    await query(`
-      CREATE TABLE IF NOT EXISTS credit_notes (
-        id BIGSERIAL PRIMARY KEY,
-        invoice_id BIGINT REFERENCES invoices(id) ON DELETE CASCADE,
-        crn_number VARCHAR(100) NOT NULL,
-        credit_date DATE NOT NULL DEFAULT CURRENT_DATE,
-        credit_amount DECIMAL(12,2) NOT NULL,
-        items_returned INTEGER DEFAULT 0,
-        return_reason TEXT,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(crn_number)
-      );`);
-
-
-    // Create indexes for better performance
-    await query('CREATE INDEX IF NOT EXISTS idx_vendors_name ON vendors(name)');
-    await query('CREATE INDEX IF NOT EXISTS idx_brands_vendor_id ON brands(vendor_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_issues_vendor_id ON issues(vendor_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_issues_status ON issues(status)');
-    await query('CREATE INDEX IF NOT EXISTS idx_invoice_payments_vendor_id ON invoice_payments(invoice_id)');
-
-    console.log('✅ Database tables initialized successfully');
-    return true;
+// Every API request waits for a current schema (serverless instances never reach app.listen)
+app.use('/api', async (req, res, next) => {
+  if (schemaCurrent) return next();
+  try {
+    const behind = await checkSchema();
+    if (behind) return res.status(503).json({error: behind});
+    next();
   } catch (error) {
-    console.error('❌ Error initializing database:', error);
-    console.error('❌ Make sure your PostgreSQL connection is configured correctly');
-    return false;
+    console.error('❌ Error checking database schema:', error);
+    res.status(503).json({error: 'Failed to check database schema: ' + error.message});
   }
+});
+
+// ===== Field validation for create/update requests =====
+
+// Allowed values, mirroring the CHECK constraints in db/migrations
+const PAYMENT_TERMS = ['advance', 'credit', 'mixed'];
+const VISIT_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+// Days between visits; monthly visits fall on the same day of the next month instead
+const VISIT_INTERVAL_DAYS = {daily: 1, weekly: 7, biweekly: 14};
+const BRAND_CATEGORIES = ['groceries', 'dairy', 'beverages', 'snacks', 'personal_care', 'household', 'bakery', 'frozen', 'other'];
+const ISSUE_TYPES = ['expired', 'damaged', 'defective', 'wrong_delivery', 'poor_quality', 'short_delivery', 'other'];
+// Issues stay open until the vendor makes good (credit note or replacement stock) or we write the loss off
+const ISSUE_OPEN_STATUSES = ['reported', 'vendor_notified', 'picked_up'];
+const ISSUE_CLOSED_STATUSES = ['credited', 'replaced', 'written_off'];
+const ISSUE_STATUSES = [...ISSUE_OPEN_STATUSES, ...ISSUE_CLOSED_STATUSES];
+const PAYMENT_METHODS = ['cheque', 'cash', 'online', 'card'];
+const PURCHASE_ORDER_STATUSES = ['open', 'closed', 'cancelled'];
+// Rent falls due on this day of the month it is for
+const RENT_DUE_DAY = 10;
+const CHEQUE_STATUSES = ['issued', 'presented', 'cleared', 'bounced', 'cancelled'];
+
+// Allowed cheque status changes. A bounced cheque can be presented again or cancelled.
+const CHEQUE_TRANSITIONS = {
+  issued: ['presented', 'cleared', 'bounced', 'cancelled'],
+  presented: ['cleared', 'bounced'],
+  bounced: ['presented', 'cancelled'],
+  cleared: ['bounced'],
+  cancelled: []
+};
+
+// Allowed issue status changes. A closed issue can be reopened if it was closed by mistake.
+const ISSUE_TRANSITIONS = {
+  reported: ['vendor_notified', 'picked_up', 'credited', 'replaced', 'written_off'],
+  vendor_notified: ['picked_up', 'credited', 'replaced', 'written_off'],
+  picked_up: ['credited', 'replaced', 'written_off'],
+  credited: ISSUE_OPEN_STATUSES,
+  replaced: ISSUE_OPEN_STATUSES,
+  written_off: ISSUE_OPEN_STATUSES
+};
+
+// A payment only counts against an invoice once the money is in the vendor's account
+const CLEARED_FUNDS_SQL = "(payment_method IS DISTINCT FROM 'cheque' OR cheque_status = 'cleared')";
+
+function isClearedPayment(payment) {
+  return payment.payment_method !== 'cheque' || payment.cheque_status === 'cleared';
 }
 
-// API Routes
+// Editable fields per entity: request body key (camelCase) -> column and rules
+const VENDOR_FIELDS = {
+  name: {column: 'name', label: 'Vendor name', required: true, maxLength: 255},
+  contactPerson: {column: 'contact_person', label: 'Contact person', maxLength: 255},
+  phone: {column: 'phone', label: 'Phone', maxLength: 50},
+  email: {column: 'email', label: 'Email', type: 'email', maxLength: 255},
+  paymentTerms: {column: 'payment_terms', label: 'Payment terms', required: true, oneOf: PAYMENT_TERMS},
+  visitFrequency: {column: 'visit_frequency', label: 'Visit frequency', required: true, oneOf: VISIT_FREQUENCIES},
+  lastVisit: {column: 'last_visit', label: 'Last visit', type: 'date'},
+  nextVisit: {column: 'next_visit', label: 'Next visit', type: 'date'},
+  hasDisplay: {column: 'has_display', label: 'Display space', required: true, oneOf: ['yes', 'no']},
+  displayRent: {column: 'display_rent', label: 'Display rent', type: 'number', min: 0, default: 0},
+  creditDays: {column: 'credit_days', label: 'Credit days', type: 'integer', min: 0, default: 0},
+  gstin: {column: 'gstin', label: 'GSTIN', type: 'gstin'},
+  termsConditions: {column: 'terms_conditions', label: 'Terms & conditions'},
+  remarks: {column: 'remarks', label: 'Remarks'}
+};
 
-// Get all data
-app.get('/api/data', async (req, res) => {
-  try {
-    console.log('📖 Fetching all data from PostgreSQL...');
+// Left out of a new vendor, these fall back to the column defaults
+const VENDOR_CREATE_FIELDS = withDefaults(VENDOR_FIELDS, {paymentTerms: 'advance', visitFrequency: 'weekly', hasDisplay: 'no'});
 
-    // Fetch all data in parallel
-    const [vendorsResult, brandsResult, issuesResult, invoicesResult] = await Promise.all([
-      query('SELECT * FROM vendors ORDER BY name'),
-      query('SELECT b.*, v.name as vendor_name FROM brands b LEFT JOIN vendors v ON b.vendor_id = v.id ORDER BY v.name, b.name'),
-      query('SELECT i.*, v.name as vendor_name, v.phone as vendor_phone FROM issues i LEFT JOIN vendors v ON i.vendor_id = v.id ORDER BY CASE WHEN i.status = $1 THEN 0 ELSE 1 END, i.date_found DESC', ['pending']),
-      query('SELECT ip.*, v.name as vendor_name, v.phone as vendor_phone FROM invoices ip LEFT JOIN vendors v ON ip.vendor_id = v.id ORDER BY ip.invoice_date DESC')
-    ]);
+const VISIT_FIELDS = {
+  visitDate: {column: 'visit_date', label: 'Visit date', type: 'date', required: true},
+  visitorName: {column: 'visitor_name', label: 'Visited by', maxLength: 255},
+  orderPlaced: {column: 'order_placed', label: 'Order placed', type: 'boolean', default: false},
+  orderAmount: {column: 'order_amount', label: 'Order amount', type: 'number', min: 0},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-    const data = {
-      vendors: vendorsResult.rows,
-      brands: brandsResult.rows,
-      issues: issuesResult.rows,
-      invoicePayments: invoicesResult.rows,
-      lastSaved: new Date().toISOString(),
-      version: '3.0',
-      database: 'PostgreSQL (gdees)'
-    };
+const BRAND_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  name: {column: 'name', label: 'Brand name', required: true, maxLength: 255},
+  sku: {column: 'sku', label: 'SKU', maxLength: 100},
+  category: {column: 'category', label: 'Category', required: true, oneOf: BRAND_CATEGORIES}
+};
 
-    console.log(`✅ Data fetched successfully. Records: vendors=${data.vendors.length}, brands=${data.brands.length}, issues=${data.issues.length}, invoices=${data.invoicePayments.length}`);
-    res.json(data);
-  } catch (error) {
-    console.error('❌ Error fetching data:', error);
-    res.status(500).json({error: 'Failed to read database: ' + error.message});
-  }
-});
+const BRAND_CREATE_FIELDS = withDefaults(BRAND_FIELDS, {category: 'groceries'});
 
-// Add vendor
-app.post('/api/vendors', async (req, res) => {
-  console.log('📝 POST /api/vendors - Adding new vendor:', req.body.name);
-  try {
-    const result = await query(`
-      INSERT INTO vendors (
-        name, contact_person, phone, email, payment_terms, 
-        visit_frequency, last_visit, next_visit, has_display, 
-        display_rent, terms_conditions, remarks
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *
-    `, [
-      req.body.name, req.body.contactPerson, req.body.phone,
-      req.body.email, req.body.paymentTerms || 'advance',
-      req.body.visitFrequency || 'weekly', req.body.lastVisit || null,
-      req.body.nextVisit || null, req.body.hasDisplay || 'no',
-      req.body.displayRent || 0, req.body.termsConditions,
-      req.body.remarks
-    ]);
+const ISSUE_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  productName: {column: 'product_name', label: 'Product name', required: true, maxLength: 255},
+  issueType: {column: 'issue_type', label: 'Issue type', required: true, oneOf: ISSUE_TYPES},
+  quantity: {column: 'quantity', label: 'Quantity', type: 'integer', min: 1, default: 1},
+  dateFound: {column: 'date_found', label: 'Date found', type: 'date', required: true},
+  estimatedLoss: {column: 'estimated_loss', label: 'Estimated loss', type: 'number', min: 0, default: 0},
+  unitPrice: {column: 'unit_price', label: 'Unit price', type: 'number', min: 0},
+  description: {column: 'description', label: 'Description'}
+};
 
-    const vendor = result.rows[0];
-    console.log(`✅ Vendor added successfully. ID: ${vendor.id}`);
-    res.json({success: true, vendor});
-  } catch (error) {
-    console.error('❌ Error in POST /api/vendors:', error);
-    res.status(500).json({error: 'Failed to add vendor: ' + error.message});
-  }
-});
+const ISSUE_REPORT_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  reportDate: {column: 'report_date', label: 'Report date', type: 'date', required: true},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-// Add brand
-app.post('/api/brands', async (req, res) => {
-  console.log('📝 POST /api/brands - Adding new brand:', req.body.name);
-  try {
-    const result = await query(
-      'INSERT INTO brands (vendor_id, name, sku, category) VALUES ($1, $2, $3, $4) RETURNING *',
-      [req.body.vendorId, req.body.name, req.body.sku, req.body.category || 'groceries']
-    );
+// One line of an issue report; vendor and date come from the report header
+const ISSUE_REPORT_ITEM_FIELDS = {
+  productName: ISSUE_FIELDS.productName,
+  issueType: ISSUE_FIELDS.issueType,
+  quantity: {...ISSUE_FIELDS.quantity, required: true},
+  unitPrice: {...ISSUE_FIELDS.unitPrice, positive: true, required: true},
+  description: ISSUE_FIELDS.description
+};
 
-    const brand = result.rows[0];
-    console.log(`✅ Brand added successfully. ID: ${brand.id}`);
-    res.json({success: true, brand});
-  } catch (error) {
-    console.error('❌ Error in POST /api/brands:', error);
-    res.status(500).json({error: 'Failed to add brand: ' + error.message});
-  }
-});
+// GST components shared by invoices and credit notes
+const TAX_FIELDS = {
+  taxableValue: {column: 'taxable_value', label: 'Taxable value', type: 'number', min: 0},
+  cgstAmount: {column: 'cgst_amount', label: 'CGST', type: 'number', min: 0, default: 0},
+  sgstAmount: {column: 'sgst_amount', label: 'SGST', type: 'number', min: 0, default: 0},
+  igstAmount: {column: 'igst_amount', label: 'IGST', type: 'number', min: 0, default: 0}
+};
 
-// Add issue
-app.post('/api/issues', async (req, res) => {
-  console.log('📝 POST /api/issues - Adding new issue for product:', req.body.productName);
-  try {
-    const result = await query(`
-      INSERT INTO issues (
-        vendor_id, product_name, issue_type, quantity, 
-        date_found, estimated_loss, description
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
-    `, [
-      req.body.vendorId, req.body.productName, req.body.issueType,
-      req.body.quantity || 1, req.body.dateFound || new Date().toISOString().split('T')[0],
-      req.body.estimatedLoss || 0, req.body.description
-    ]);
+const INVOICE_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  invoiceNumber: {column: 'invoice_number', label: 'Invoice number', required: true, maxLength: 100},
+  invoiceDate: {column: 'invoice_date', label: 'Invoice date', type: 'date', required: true},
+  invoiceAmount: {column: 'invoice_amount', label: 'Invoice amount', type: 'number', min: 0, required: true},
+  totalItems: {column: 'total_items', label: 'Total items', type: 'integer', min: 0, default: 0},
+  dueDate: {column: 'due_date', label: 'Due date', type: 'date'},
+  poId: {column: 'po_id', label: 'Purchase order', type: 'integer', positive: true},
+  ...TAX_FIELDS
+};
 
-    const issue = result.rows[0];
-    console.log(`✅ Issue added successfully. ID: ${issue.id}`);
-    res.json({success: true, issue});
-  } catch (error) {
-    console.error('❌ Error in POST /api/issues:', error);
-    res.status(500).json({error: 'Failed to add issue: ' + error.message});
-  }
-});
+const INVOICE_ITEM_FIELDS = {
+  brandId: {column: 'brand_id', label: 'Brand', type: 'integer', positive: true},
+  description: {column: 'description', label: 'Description', maxLength: 255},
+  sku: {column: 'sku', label: 'SKU', maxLength: 100},
+  quantity: {column: 'quantity', label: 'Quantity', type: 'number', positive: true, required: true},
+  unitCost: {column: 'unit_cost', label: 'Unit cost', type: 'number', min: 0, required: true},
+  taxRate: {column: 'tax_rate', label: 'Tax rate', type: 'number', min: 0, max: 100, default: 0},
+  discount: {column: 'discount', label: 'Discount', type: 'number', min: 0, default: 0}
+};
 
-// Add/Update Invoice & Payment
-// Add/Update Invoice
-// Add/Update Invoice & Payment (using existing invoice_payments table structure)
-app.post('/api/invoices', async (req, res) => {
-  console.log('📝 POST /api/invoices - Processing invoice:', req.body.invoiceNumber);
-  try {
-    // Handle empty string dates by converting to null
-    const dueDate = req.body.dueDate && req.body.dueDate.trim() !== '' ? req.body.dueDate : null;
+const PURCHASE_ORDER_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  poNumber: {column: 'po_number', label: 'PO number', required: true, maxLength: 100},
+  orderDate: {column: 'order_date', label: 'Order date', type: 'date', required: true},
+  expectedDate: {column: 'expected_date', label: 'Expected delivery', type: 'date'},
+  status: {column: 'status', label: 'Status', oneOf: PURCHASE_ORDER_STATUSES},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-    // Check if invoice already exists (same vendor + invoice number)
-    const existingInvoice = await query(
-      'SELECT * FROM invoices WHERE vendor_id = $1 AND invoice_number = $2',
-      [req.body.vendorId, req.body.invoiceNumber]
-    );
+const PURCHASE_ORDER_ITEM_FIELDS = {
+  brandId: INVOICE_ITEM_FIELDS.brandId,
+  description: INVOICE_ITEM_FIELDS.description,
+  sku: INVOICE_ITEM_FIELDS.sku,
+  quantity: INVOICE_ITEM_FIELDS.quantity,
+  unitCost: INVOICE_ITEM_FIELDS.unitCost
+};
 
-    let result;
-    if (existingInvoice.rows.length > 0) {
-      console.log(`🔄 Updating existing invoice: ${req.body.invoiceNumber}`);
-      // Update existing invoice
-      const updateResult = await query(`
-        UPDATE invoices SET
-          invoice_date = $1, invoice_amount = $2, total_items = $3, due_date = $4,
-          last_updated = CURRENT_DATE
-        WHERE vendor_id = $5 AND invoice_number = $6 RETURNING *
-      `, [
-        req.body.invoiceDate, req.body.invoiceAmount, req.body.totalItems || 0, dueDate,
-        req.body.vendorId, req.body.invoiceNumber
-      ]);
-      result = {success: true, invoice: updateResult.rows[0], action: 'updated'};
-    } else {
-      console.log(`➕ Creating new invoice: ${req.body.invoiceNumber}`);
-      // Create new invoice with default payment values
-      const insertResult = await query(`
-        INSERT INTO invoices (
-          vendor_id, invoice_number, invoice_date, invoice_amount, total_items,
-          due_date
-        ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
-      `, [
-        req.body.vendorId, req.body.invoiceNumber, req.body.invoiceDate,
-        req.body.invoiceAmount, req.body.totalItems || 0, dueDate
-      ]);
-      result = {success: true, invoice: insertResult.rows[0], action: 'created'};
-    }
+const GOODS_RECEIPT_FIELDS = {
+  grnNumber: {column: 'grn_number', label: 'GRN number', required: true, maxLength: 100},
+  receivedDate: {column: 'received_date', label: 'Received date', type: 'date', required: true},
+  receivedBy: {column: 'received_by', label: 'Received by', maxLength: 255},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-    console.log(`✅ Invoice processed successfully: ${result.action}`);
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Error in POST /api/invoices:', error);
-    res.status(500).json({error: 'Failed to add/update invoice: ' + error.message});
-  }
-});
+const GOODS_RECEIPT_ITEM_FIELDS = {
+  poItemId: {column: 'po_item_id', label: 'PO line', type: 'integer', positive: true, required: true},
+  quantityReceived: {column: 'quantity_received', label: 'Quantity received', type: 'number', min: 0, required: true}
+};
 
-// Update issue status
-app.put('/api/issues/:id', async (req, res) => {
-  try {
-    const issueId = req.params.id;
-    const updateData = {
-      ...req.body,
-      resolved_date: req.body.status === 'resolved' ? new Date().toISOString().split('T')[0] : null
-    };
+// An invoiced unit cost may differ from the PO price by this much before it is flagged
+const PO_PRICE_TOLERANCE = 0.01;
 
-    const result = await query(`
-      UPDATE issues SET
-        status = $1,
-        resolved_date = $2,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
-    `, [updateData.status, updateData.resolved_date, issueId]);
+// Vendors round invoice totals to the rupee, so the header may differ from the line items by this much
+const INVOICE_ROUNDING_TOLERANCE = 1;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({error: 'Issue not found'});
-    }
+const PAYMENT_FIELDS = {
+  paymentDate: {column: 'payment_date', label: 'Payment date', type: 'date', required: true},
+  paymentAmount: {column: 'payment_amount', label: 'Payment amount', type: 'number', positive: true, required: true},
+  paymentMethod: {column: 'payment_method', label: 'Payment method', required: true, oneOf: PAYMENT_METHODS},
+  chequeNumber: {column: 'cheque_number', label: 'Cheque number', maxLength: 100},
+  chequeDate: {column: 'cheque_date', label: 'Cheque date', type: 'date'},
+  notes: {column: 'payment_notes', label: 'Payment notes'}
+};
 
-    console.log(`✅ Issue updated successfully. ID: ${issueId}`);
-    res.json({success: true, issue: result.rows[0]});
-  } catch (error) {
-    console.error('❌ Error updating issue:', error);
-    res.status(500).json({error: 'Failed to update issue: ' + error.message});
-  }
-});
+const PAYMENT_RUN_FIELDS = {
+  payDate: {column: 'run_date', label: 'Pay date', type: 'date', required: true},
+  paymentMethod: {column: 'payment_method', label: 'Payment method', required: true, oneOf: PAYMENT_METHODS},
+  budget: {column: 'budget', label: 'Budget', type: 'number', min: 0},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-// Delete vendor
-app.delete('/api/vendors/:id', async (req, res) => {
-  try {
-    const vendorId = req.params.id;
-    const result = await query('DELETE FROM vendors WHERE id = $1 RETURNING *', [vendorId]);
+const PAYMENT_RUN_LINE_FIELDS = {
+  invoiceId: {column: 'invoice_id', label: 'Invoice', type: 'integer', positive: true, required: true},
+  amount: {column: 'payment_amount', label: 'Amount', type: 'number', positive: true, required: true}
+};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({error: 'Vendor not found'});
-    }
+const CONTRACT_FIELDS = {
+  vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', required: true},
+  location: {column: 'location', label: 'Location', required: true, maxLength: 255},
+  shelf: {column: 'shelf', label: 'Shelf', maxLength: 100},
+  startDate: {column: 'start_date', label: 'Start date', type: 'date', required: true},
+  endDate: {column: 'end_date', label: 'End date', type: 'date'},
+  monthlyRent: {column: 'monthly_rent', label: 'Monthly rent', type: 'number', positive: true, required: true},
+  notes: {column: 'notes', label: 'Notes'}
+};
 
-    console.log(`✅ Vendor deleted successfully. ID: ${vendorId}`);
-    res.json({success: true});
-  } catch (error) {
-    console.error('❌ Error deleting vendor:', error);
-    res.status(500).json({error: 'Failed to delete vendor: ' + error.message});
+const RENT_RECEIPT_FIELDS = {
+  receiptDate: {column: 'receipt_date', label: 'Receipt date', type: 'date', required: true},
+  amount: {column: 'amount', label: 'Amount', type: 'number', positive: true, required: true},
+  paymentMethod: {column: 'payment_method', label: 'Payment method', required: true, oneOf: PAYMENT_METHODS},
+  reference: {column: 'reference', label: 'Reference', maxLength: 100},
+  notes: {column: 'notes', label: 'Notes'}
+};
+
+const CREDIT_NOTE_FIELDS = {
+  crnNumber: {column: 'crn_number', label: 'CRN number', required: true, maxLength: 100},
+  creditDate: {column: 'credit_date', label: 'Credit date', type: 'date', required: true},
+  creditAmount: {column: 'credit_amount', label: 'Credit amount', type: 'number', positive: true, required: true},
+  itemsReturned: {column: 'items_returned', label: 'Items returned', type: 'integer', min: 0, default: 0},
+  returnReason: {column: 'return_reason', label: 'Return reason'},
+  description: {column: 'description', label: 'Description'},
+  ...TAX_FIELDS
+};
+
+const STORE_FIELDS = {
+  name: {column: 'name', label: 'Store name', required: true, maxLength: 255},
+  code: {column: 'code', label: 'Store code', maxLength: 20},
+  address: {column: 'address', label: 'Address'},
+  phone: {column: 'phone', label: 'Phone', maxLength: 50},
+  gstin: {column: 'gstin', label: 'GSTIN', type: 'gstin'},
+  active: {column: 'active', label: 'Open', type: 'boolean'}
+};
+
+// Recipient lists are validated separately (see parseRecipients)
+const NOTIFICATION_SETTINGS_FIELDS = {
+  enabled: {column: 'enabled', label: 'Reminders on', type: 'boolean'},
+  digestHour: {column: 'digest_hour', label: 'Digest hour', type: 'integer', min: 0, max: 23},
+  invoiceDueDays: {column: 'invoice_due_days', label: 'Invoices due within (days)', type: 'integer', min: 0, max: 60},
+  chequeDueDays: {column: 'cheque_due_days', label: 'Cheques maturing within (days)', type: 'integer', min: 0, max: 60},
+  issuePendingDays: {column: 'issue_pending_days', label: 'Issues open for more than (days)', type: 'integer', min: 1, max: 365}
+};
+
+// GSTIN: 2-digit state code, PAN, entity number, 'Z', then a base-36 check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function isValidGstin(gstin) {
+  if (!GSTIN_PATTERN.test(gstin)) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
   }
-});
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === gstin[14];
+}
 
-// Delete brand
-app.delete('/api/brands/:id', async (req, res) => {
-  try {
-    const brandId = req.params.id;
-    const result = await query('DELETE FROM brands WHERE id = $1 RETURNING *', [brandId]);
+// Validate one incoming value against its field rules. Returns {value} or {error}.
+function normalizeField(spec, raw) {
+  const label = spec.label;
+  const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({error: 'Brand not found'});
+  if (isEmpty) {
+    if (spec.required) return {error: `${label} is required`};
+    return {value: spec.default !== undefined ? spec.default : null};
+  }
+
+  if (spec.type === 'boolean') {
+    if (raw === true || raw === 'true') return {value: true};
+    if (raw === false || raw === 'false') return {value: false};
+    return {error: `${label} must be true or false`};
+  }
+
+  if (spec.type === 'number' || spec.type === 'integer') {
+    const number = Number(raw);
+    if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+      return {error: `${label} must be a ${spec.type === 'integer' ? 'whole number' : 'number'}`};
     }
+    if (spec.min !== undefined && number < spec.min) return {error: `${label} must be at least ${spec.min}`};
+    if (spec.max !== undefined && number > spec.max) return {error: `${label} must be at most ${spec.max}`};
+    if (spec.positive && number <= 0) return {error: `${label} must be greater than 0`};
+    return {value: number};
+  }
 
-    console.log(`✅ Brand deleted successfully. ID: ${brandId}`);
-    res.json({success: true});
-  } catch (error) {
-    console.error('❌ Error deleting brand:', error);
-    res.status(500).json({error: 'Failed to delete brand: ' + error.message});
+  const text = String(raw).trim();
+  if (spec.type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(Date.parse(text))) {
+      return {error: `${label} must be a valid date (YYYY-MM-DD)`};
+    }
+    return {value: text};
   }
-});
+  if (spec.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+    return {error: `${label} must be a valid email address`};
+  }
+  if (spec.type === 'gstin') {
+    const gstin = text.toUpperCase();
+    if (!isValidGstin(gstin)) return {error: `${label} must be a valid 15-character GSTIN`};
+    return {value: gstin};
+  }
+  if (spec.oneOf && !spec.oneOf.includes(text)) {
+    return {error: `${label} must be one of: ${spec.oneOf.join(', ')}`};
+  }
+  if (spec.maxLength && text.length > spec.maxLength) {
+    return {error: `${label} must be at most ${spec.maxLength} characters`};
+  }
+  return {value: text};
+}
 
-// Delete invoice
-app.delete('/api/invoices/:id', async (req, res) => {
-  try {
-    const invoiceId = req.params.id;
-    const result = await query('DELETE FROM invoice_payments WHERE id = $1 RETURNING *', [invoiceId]);
+// Build the SET clause for the fields present in the body. PUT and PATCH both
+// accept partial bodies: fields that are not sent are left untouched.
+// Errors come back both as a list and keyed by body key (see sendValidationErrors).
+function buildUpdate(body, fields) {
+  const sets = [];
+  const values = [];
+  const errors = [];
+  const fieldErrors = {};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({error: 'Invoice not found'});
+  Object.entries(fields).forEach(([key, spec]) => {
+    if (!(key in body)) return;
+    const {value, error} = normalizeField(spec, body[key]);
+    if (error) {
+      errors.push(error);
+      fieldErrors[key] = error;
+    } else {
+      values.push(value);
+      sets.push(`${spec.column} = $${values.length}`);
     }
+  });
 
-    console.log(`✅ Invoice deleted successfully. ID: ${invoiceId}`);
-    res.json({success: true});
-  } catch (error) {
-    console.error('❌ Error deleting invoice:', error);
-    res.status(500).json({error: 'Failed to delete invoice: ' + error.message});
-  }
-});
+  return {sets, values, errors, fields: fieldErrors};
+}
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    const result = await query('SELECT COUNT(*) as vendors FROM vendors');
-    res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      database: 'PostgreSQL (gdees)',
-      vendors: result.rows[0].vendors
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'unhealthy',
-      error: error.message
-    });
-  }
-});
+// Validate every field for a new record. Missing optional fields are left out so
+// the column default applies; missing required fields are reported.
+function buildInsert(body, fields) {
+  const columns = [];
+  const values = [];
+  const errors = [];
+  const fieldErrors = {};
 
-// API info endpoint
-app.get('/api/info', (req, res) => {
-  res.json({
-    message: 'GDEES Vendor Management API with PostgreSQL',
-    version: '3.0',
-    storage: 'PostgreSQL (gdees database)',
-    endpoints: {
-      data: '/api/data',
-      vendors: '/api/vendors',
-      brands: '/api/brands',
-      issues: '/api/issues',
-      invoices: '/api/invoices',
-      health: '/health'
+  Object.entries(fields).forEach(([key, spec]) => {
+    const {value, error} = normalizeField(spec, body[key]);
+    if (error) {
+      errors.push(error);
+      fieldErrors[key] = error;
+    } else if (value !== null || key in body) {
+      columns.push(spec.column);
+      values.push(value);
     }
   });
-});
 
-// Initialize database on startup
-console.log('🚀 Starting GDEES Vendor Management Server...');
+  return {columns, values, errors, fields: fieldErrors};
+}
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📁 Using PostgreSQL database: gdees`);
-  console.log(`🌐 Access at: http://localhost:${PORT}`);
+// Errors from separately validated values, keyed by request key: {key: normalizeField result}
+function collectErrors(results) {
+  const errors = [];
+  const fields = {};
+  Object.entries(results).forEach(([key, result]) => {
+    if (!result.error) return;
+    errors.push(result.error);
+    fields[key] = result.error;
+  });
+  return {errors, fields};
+}
 
-  // Test connection first
-  const connectionOk = await testConnection();
-  if (!connectionOk) {
-    console.error('❌ Database connection failed. Server started but database is not accessible.');
-    console.error('🔧 Fix the connection issue and restart the server.');
-    return;
-  }
+// Add a problem with one request field to a buildInsert, buildUpdate or collectErrors result
+function addFieldError(result, key, message) {
+  result.errors.push(message);
+  result.fields[key] = message;
+}
 
-  try {
-    await initializeDatabase();
-    console.log('✅ Database initialization completed successfully');
-  } catch (error) {
-    console.error('❌ Database initialization failed:', error.message);
-  }
-});
-// Get complete invoices with payments and credits aggregated
-app.get('/api/invoices-complete', async (req, res) => {
-  try {
-    console.log('📖 Fetching complete invoice data from invoices, invoice_payments, and credit_notes tables...');
+// Combine several validation results; null entries are skipped
+function mergeErrors(...results) {
+  const merged = {errors: [], fields: {}};
+  results.filter(Boolean).forEach(result => {
+    merged.errors.push(...result.errors);
+    Object.assign(merged.fields, result.fields);
+  });
+  return merged;
+}
 
-    // 1️⃣ Fetch all invoices with vendor info
-    const invoicesQuery = `
-      SELECT i.*, v.name as vendor_name, v.phone as vendor_phone
-      FROM invoices i
-      LEFT JOIN vendors v ON i.vendor_id = v.id
-      ORDER BY i.invoice_date DESC
-    `;
-    const invoicesResult = await query(invoicesQuery);
-    const invoices = invoicesResult.rows;
-
-    if (invoices.length === 0) {
-      console.log('✅ No invoices found');
-      return res.json({success: true, invoices: []});
-    }
-
-    // 2️⃣ Fetch all payments
-    const paymentsQuery = `SELECT * FROM invoice_payments`;
-    const paymentsResult = await query(paymentsQuery);
-    const paymentsByInvoice = {};
-    paymentsResult.rows.forEach(p => {
-      if (!paymentsByInvoice[p.invoice_id]) paymentsByInvoice[p.invoice_id] = [];
-      paymentsByInvoice[p.invoice_id].push({
-        id: p.id,
-        paymentDate: p.payment_date,
-        paymentAmount: parseFloat(p.payment_amount || 0),
-        paymentMethod: p.payment_method || '',
-        chequeNumber: p.cheque_number || '',
-        chequeDate: p.cheque_date || '',
-        notes: p.payment_notes || ''
-      });
-    });
+// Add each field error of one line in a list, keyed like items.2.quantity and
+// labelled like "Line 3: Quantity ...", so the form can mark the input on that line
+function addLineErrors(result, listKey, index, line, lineFields) {
+  Object.entries(lineFields).forEach(([key, error]) => addFieldError(result, `${listKey}.${index}.${key}`, `${line}: ${error}`));
+}
 
-    // 3️⃣ Fetch all credit notes
-    const creditsQuery = `SELECT * FROM credit_notes`;
-    const creditsResult = await query(creditsQuery);
-    const creditsByInvoice = {};
-    creditsResult.rows.forEach(c => {
-      if (!creditsByInvoice[c.invoice_id]) creditsByInvoice[c.invoice_id] = [];
-      creditsByInvoice[c.invoice_id].push({
-        id: c.id,
-        crnNumber: c.crn_number,
-        creditDate: c.credit_date,
-        creditAmount: parseFloat(c.credit_amount || 0),
-        itemsReturned: c.items_returned || 0,
-        returnReason: c.return_reason || '',
-        description: c.description || ''
-      });
-    });
+// Field rules for a new record, where the given required fields fall back to a default
+// when left out. Updates keep the original rules, so those fields can't be blanked.
+function withDefaults(fields, defaults) {
+  return Object.fromEntries(Object.entries(fields).map(([key, spec]) => [
+    key,
+    key in defaults ? {...spec, required: false, default: defaults[key]} : spec
+  ]));
+}
 
-    // 4️⃣ Combine and calculate totals
-    const completeInvoices = invoices.map(invoice => {
-      const invoicePayments = paymentsByInvoice[invoice.id] || [];
-      const invoiceCredits = creditsByInvoice[invoice.id] || [];
+const LIST_PAGE_SIZE = 50;
+const LIST_MAX_PAGE_SIZE = 200;
 
-      const totalPayments = invoicePayments.reduce((sum, p) => sum + p.paymentAmount, 0);
-      const totalCredits = invoiceCredits.reduce((sum, c) => sum + c.creditAmount, 0);
-      const outstanding = parseFloat(invoice.invoice_amount || 0) - totalPayments - totalCredits;
+// Turn a list request's ?search=&sort=&page=&pageSize= and its filters into SQL pieces.
+// spec.filters maps query keys to field specs compared against `column` (operator
+// defaults to '='); boolean filters pick their whenTrue/whenFalse condition instead.
+// A filter with a default applies even when the query leaves it out.
+// spec.sorts maps sort keys to expressions; '-key' sorts descending, spec.tieBreak
+// keeps the order stable across pages. Column names are only ever taken from the spec.
+// baseValues are parameters the list's own SQL already uses; filter values follow them.
+function parseListQuery(query, spec, baseValues = []) {
+  const conditions = [];
+  const values = [...baseValues];
+  const errors = [];
+  const fieldErrors = {};
 
-      // Determine payment status
-      let paymentStatus = 'pending';
-      if (outstanding <= 0) {
-        paymentStatus = 'paid';
-      } else if (totalPayments > 0) {
-        paymentStatus = 'partial';
-      } else if (invoice.due_date && new Date(invoice.due_date) < new Date()) {
-        paymentStatus = 'overdue';
-      }
+  Object.entries(spec.filters).forEach(([key, filter]) => {
+    if ((query[key] === undefined || query[key] === '') && filter.default === undefined) return;
+    const {value, error} = normalizeField(filter, query[key]);
+    if (error) {
+      errors.push(error);
+      fieldErrors[key] = error;
+      return;
+    }
 
-      return {
-        id: invoice.id,
-        vendorId: invoice.vendor_id,
-        invoiceNumber: invoice.invoice_number,
-        invoiceDate: invoice.invoice_date,
-        invoiceAmount: parseFloat(invoice.invoice_amount || 0),
-        totalItems: invoice.total_items || 0,
-        dueDate: invoice.due_date,
-        paymentStatus,
-        paymentAmount: totalPayments,
-        totalCredits,
-        outstanding,
-        payments: invoicePayments,
-        creditNotes: invoiceCredits,
-        vendor_name: invoice.vendor_name,
-        vendor_phone: invoice.vendor_phone,
-        vendor_contact_person: invoice.contact_person
-      };
-    });
+    if (filter.type === 'boolean') {
+      conditions.push(value ? filter.whenTrue : filter.whenFalse);
+    } else {
+      values.push(value);
+      conditions.push(`${filter.column} ${filter.operator || '='} $${values.length}`);
+    }
+  });
 
-    console.log(`✅ Complete invoice data prepared. Records: ${completeInvoices.length}`);
-    res.json({success: true, invoices: completeInvoices});
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search) {
+    values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(${spec.search.map(column => `${column} ILIKE $${values.length}`).join(' OR ')})`);
+  }
 
-  } catch (error) {
-    console.error('❌ Error fetching complete invoice data:', error);
-    res.status(500).json({error: 'Failed to fetch invoice data: ' + error.message});
+  const sort = typeof query.sort === 'string' && query.sort ? query.sort : spec.defaultSort;
+  const sortColumn = spec.sorts[sort.replace(/^-/, '')];
+  if (!sortColumn) {
+    fieldErrors.sort = `Sort must be one of: ${Object.keys(spec.sorts).join(', ')}`;
+    errors.push(fieldErrors.sort);
   }
-});
 
-// Record payment (update existing invoice_payments record)
-app.post('/api/payments', async (req, res) => {
-  console.log('📝 POST /api/payments - Recording payment for invoice:', req.body.invoiceId);
-  try {
-    const {
-      invoiceId,
-      paymentAmount,
-      paymentMethod,
-      paymentDate,
-      chequeNumber,
-      chequeDate,
-      notes
-    } = req.body;
-
-    const effectiveChequeDate = chequeDate && chequeDate.trim() !== '' ? chequeDate : null;
-
-    // 1️⃣ Check if a payment already exists for this invoice on the same date
-    const existingPayment = await query(`
-      SELECT * FROM invoice_payments
-      WHERE invoice_id = $1 AND payment_date = $2
-    `, [invoiceId, paymentDate]);
-
-    let result;
-    // 3️⃣ Insert a new payment record
-    const insertResult = await query(`
-      INSERT INTO invoice_payments (
-        invoice_id, payment_date, payment_amount, payment_method,
-        cheque_number, cheque_date, payment_notes
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7)
+  const page = normalizeField({label: 'Page', type: 'integer', min: 1, default: 1}, query.page);
+  const pageSize = normalizeField({label: 'Page size', type: 'integer', min: 1, max: LIST_MAX_PAGE_SIZE, default: LIST_PAGE_SIZE}, query.pageSize);
+  const paging = collectErrors({page, pageSize});
+  errors.push(...paging.errors);
+  Object.assign(fieldErrors, paging.fields);
+
+  return {
+    errors,
+    fields: fieldErrors,
+    values,
+    where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '',
+    orderBy: `ORDER BY ${sortColumn} ${sort.startsWith('-') ? 'DESC' : 'ASC'} NULLS LAST, ${spec.tieBreak}`,
+    // Both are validated integers, so they are safe to inline
+    paging: `LIMIT ${pageSize.value} OFFSET ${(page.value - 1) * pageSize.value}`,
+    page: page.value,
+    pageSize: pageSize.value
+  };
+}
+
+// Pagination fields for a list response
+function pageInfo(list, total) {
+  return {page: list.page, pageSize: list.pageSize, total, totalPages: Math.max(1, Math.ceil(total / list.pageSize))};
+}
+
+// UPDATE a single row by id, bump updated_at and record the change in the audit log.
+// afterUpdate(client, row) runs in the same transaction, before the audit entry is written.
+// Returns the updated row, or null if not found.
+async function updateRecord(req, table, id, update, extraSets = [], afterUpdate = null) {
+  return withTransaction(async (client) => {
+    const before = await auditSnapshot(client, table, id, true);
+    if (!before) return null;
+    await checkUnchanged(client, req, table, id);
+
+    const values = [...update.values, id];
+    const result = await client.query(`
+      UPDATE ${table} SET
+        ${[...update.sets, ...extraSets, 'updated_at = CURRENT_TIMESTAMP'].join(',\n        ')}
+      WHERE id = $${values.length}
       RETURNING *
-    `, [
-      invoiceId,
-      paymentDate,
-      paymentAmount,
-      paymentMethod,
-      chequeNumber || null,
-      effectiveChequeDate,
-      notes || ''
-    ]);
+    `, values);
+    if (afterUpdate) await afterUpdate(client, result.rows[0], before);
+    await recordAudit(client, req, table, id, 'update', before);
+    return result.rows[0];
+  });
+}
+
+// An edit made from an older copy of a record (queued offline, or from a tab left open)
+// sends the updatedAt it was made from as If-Match. If the record has been saved since,
+// the edit is refused with 409 and the current row, rather than overwriting that save.
+async function checkUnchanged(client, req, table, id) {
+  const expected = req.get('If-Match');
+  if (expected === undefined) return;
+  const seen = Date.parse(expected.replace(/^(W\/)?"|"$/g, ''));
+  if (isNaN(seen)) {
+    throw validationError(['If-Match must be the updatedAt of the record being edited']);
+  }
 
-    result = {success: true, payment: insertResult.rows[0], action: 'created'};
+  const current = (await client.query(`SELECT * FROM ${table} WHERE id = $1`, [id])).rows[0];
+  if (current.updated_at && current.updated_at.getTime() !== seen) {
+    const message = `This ${TABLE_LABELS[table].toLowerCase()} was changed by someone else after this edit was started`;
+    throw Object.assign(new Error(message), {status: 409, details: [message], conflict: true, current});
+  }
+}
 
+// ===== Invoice line items =====
 
-    console.log(`✅ Payment recorded successfully for invoice ID: ${req.body.invoiceId}`);
-    res.json({success: true, invoice: result});
-  } catch (error) {
-    console.error('❌ Error in POST /api/payments:', error);
-    res.status(500).json({error: 'Failed to record payment: ' + error.message});
+// Validate line items and work out each line total:
+// (quantity x unit cost - discount) plus tax on the discounted amount.
+function buildInvoiceItems(items) {
+  if (!Array.isArray(items)) {
+    return {rows: [], errors: ['Line items must be a list'], fields: {}, total: 0, totalQuantity: 0};
   }
-});
 
-// Add credit note to existing invoice
-app.post('/api/credit-notes', async (req, res) => {
-  console.log('📝 POST /api/credit-notes - Creating credit note for invoice:', req.body.invoiceId);
-  try {
-    const result = await query(`
-      INSERT INTO credit_notes (
-        invoice_id, crn_number, credit_date, credit_amount,
-        items_returned, return_reason, description
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
-    `, [
-      req.body.invoiceId, req.body.crnNumber, req.body.creditDate,
-      req.body.creditAmount, req.body.itemsReturned || 0,
-      req.body.returnReason || '', req.body.description || ''
-    ]);
+  const rows = [];
+  const errors = [];
+  const fields = {};
+  items.forEach((item, index) => {
+    const line = `Line ${index + 1}`;
+    const insert = buildInsert(item || {}, INVOICE_ITEM_FIELDS);
+    if (insert.errors.length > 0) {
+      addLineErrors({errors, fields}, 'items', index, line, insert.fields);
+      return;
+    }
 
-    console.log(`✅ Credit note created successfully. ID: ${result.rows[0].id}`);
-    res.json({success: true, creditNote: result.rows[0]});
-  } catch (error) {
-    console.error('❌ Error in POST /api/credit-notes:', error);
-    res.status(500).json({error: 'Failed to create credit note: ' + error.message});
+    const row = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    const gross = row.quantity * row.unit_cost;
+    if (!row.brand_id && !row.description) {
+      addLineErrors({errors, fields}, 'items', index, line, {description: 'Choose a brand or enter a description'});
+    }
+    if (row.discount > gross) {
+      addLineErrors({errors, fields}, 'items', index, line, {discount: 'Discount cannot be more than quantity x unit cost'});
+    }
+    row.line_total = Math.round((gross - row.discount) * (1 + row.tax_rate / 100) * 100) / 100;
+    rows.push(row);
+  });
+
+  return {
+    rows,
+    errors,
+    fields,
+    total: Math.round(rows.reduce((sum, row) => sum + row.line_total, 0) * 100) / 100,
+    totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0)
+  };
+}
+
+// Validate an issue report's items; the estimated loss of each is quantity x unit price
+function buildIssueReportItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return {rows: [], errors: ['Add at least one item to the report'], fields: {}};
+  }
+
+  const rows = [];
+  const errors = [];
+  const fields = {};
+  items.forEach((item, index) => {
+    const insert = buildInsert(item || {}, ISSUE_REPORT_ITEM_FIELDS);
+    if (insert.errors.length > 0) {
+      addLineErrors({errors, fields}, 'items', index, `Item ${index + 1}`, insert.fields);
+      return;
+    }
+    const row = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    row.estimated_loss = Math.round(row.quantity * row.unit_price * 100) / 100;
+    rows.push(row);
+  });
+  return {rows, errors, fields};
+}
+
+// Brands on line items must be supplied by the document's vendor; their name and SKU
+// fill in a blank description/SKU. Used for invoice and purchase order lines.
+async function applyItemBrands(client, vendorId, rows) {
+  const brandIds = [...new Set(rows.map(row => row.brand_id).filter(Boolean))];
+  const brands = new Map();
+  if (brandIds.length > 0) {
+    const placeholders = brandIds.map((_, i) => `$${i + 1}`).join(', ');
+    const result = await client.query(`SELECT id, vendor_id, name, sku FROM brands WHERE id IN (${placeholders})`, brandIds);
+    result.rows.forEach(brand => brands.set(Number(brand.id), brand));
+  }
+
+  const errors = [];
+  rows.forEach((row, index) => {
+    if (!row.brand_id) return;
+    const brand = brands.get(Number(row.brand_id));
+    if (!brand) {
+      errors.push(`Line ${index + 1}: Brand #${row.brand_id} does not exist`);
+    } else if (Number(brand.vendor_id) !== Number(vendorId)) {
+      errors.push(`Line ${index + 1}: ${brand.name} is not supplied by this vendor`);
+    } else {
+      row.description = row.description || brand.name;
+      row.sku = row.sku || brand.sku;
+    }
+  });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+}
+
+// Replace an invoice's line items
+async function saveInvoiceItems(client, invoiceId, vendorId, rows) {
+  await applyItemBrands(client, vendorId, rows);
+  await client.query('DELETE FROM invoice_items WHERE invoice_id = $1', [invoiceId]);
+  for (const [index, row] of rows.entries()) {
+    await client.query(`
+      INSERT INTO invoice_items (
+        invoice_id, brand_id, description, sku, quantity, unit_cost, tax_rate, discount, line_total, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      invoiceId, row.brand_id || null, row.description || null, row.sku || null,
+      row.quantity, row.unit_cost, row.tax_rate, row.discount, row.line_total, index
+    ]);
+  }
+}
+
+// An invoice with line items must add up to its header amount, give or take round-off
+async function checkInvoiceTotal(client, invoiceId) {
+  const result = await client.query(`
+    SELECT i.invoice_amount, COUNT(it.id)::int AS lines, COALESCE(SUM(it.line_total), 0) AS items_total
+    FROM invoices i
+    LEFT JOIN invoice_items it ON it.invoice_id = i.id
+    WHERE i.id = $1
+    GROUP BY i.id, i.invoice_amount
+  `, [invoiceId]);
+  const {invoice_amount: amount, lines, items_total: itemsTotal} = result.rows[0];
+  if (lines > 0 && Math.abs(parseFloat(amount) - parseFloat(itemsTotal)) > INVOICE_ROUNDING_TOLERANCE) {
+    const message = `Invoice amount ₹${parseFloat(amount)} does not match the line items total ₹${parseFloat(itemsTotal)}`;
+    throw validationError([message], {invoiceAmount: message});
+  }
+}
+
+// ===== GST =====
+
+// Purchases within the state carry CGST + SGST in equal halves, from another state IGST;
+// either way the taxable value plus tax has to come to the document amount.
+function checkTaxBreakdown(row, amount) {
+  const taxable = row.taxable_value === null || row.taxable_value === undefined ? null : parseFloat(row.taxable_value);
+  const cgst = parseFloat(row.cgst_amount || 0);
+  const sgst = parseFloat(row.sgst_amount || 0);
+  const igst = parseFloat(row.igst_amount || 0);
+
+  const invalid = {errors: [], fields: {}};
+  if (igst > 0 && (cgst > 0 || sgst > 0)) {
+    addFieldError(invalid, 'igstAmount', 'Charge either CGST + SGST (same state) or IGST (other state), not both');
+  }
+  if (Math.abs(cgst - sgst) > 0.01) {
+    addFieldError(invalid, 'sgstAmount', 'CGST and SGST must be equal');
+  }
+  if (taxable === null) {
+    if (cgst + sgst + igst > 0) addFieldError(invalid, 'taxableValue', 'Enter the taxable value along with the GST amounts');
+  } else {
+    const total = Math.round((taxable + cgst + sgst + igst) * 100) / 100;
+    if (Math.abs(total - parseFloat(amount)) > INVOICE_ROUNDING_TOLERANCE) {
+      addFieldError(invalid, 'taxableValue', `Taxable value plus GST (₹${total}) does not match the amount ₹${parseFloat(amount)}`);
+    }
+  }
+  if (invalid.errors.length > 0) {
+    throw validationError(invalid.errors, invalid.fields);
+  }
+}
+
+// ===== Authentication & roles =====
+
+const scrypt = promisify(crypto.scrypt);
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+const ROLES = ['owner', 'accountant', 'staff'];
+
+// Which roles may perform each action. Owners can do everything.
+const PERMISSIONS = {
+  'data:read': ['owner', 'accountant', 'staff'],
+  'issues:write': ['owner', 'accountant', 'staff'],
+  'visits:write': ['owner', 'accountant', 'staff'],
+  'vendors:write': ['owner', 'accountant'],
+  'vendors:delete': ['owner'],
+  'brands:write': ['owner', 'accountant'],
+  'brands:delete': ['owner', 'accountant'],
+  'invoices:write': ['owner', 'accountant'],
+  'invoices:delete': ['owner', 'accountant'],
+  'purchase-orders:write': ['owner', 'accountant'],
+  'goods-receipts:write': ['owner', 'accountant', 'staff'],
+  'payments:write': ['owner', 'accountant'],
+  'credit-notes:write': ['owner', 'accountant'],
+  'rent:write': ['owner', 'accountant'],
+  'audit:read': ['owner', 'accountant'],
+  'backup:read': ['owner'],
+  'backup:restore': ['owner'],
+  'users:manage': ['owner'],
+  'stores:manage': ['owner'],
+  // Reading every store at once, for reports consolidated across the chain
+  'stores:all': ['owner'],
+  'notifications:manage': ['owner']
+};
+
+// Routes under /api reachable without a session. The cron route checks its own secret.
+const PUBLIC_API_PATHS = ['/auth/status', '/auth/setup', '/auth/login', '/info', '/notifications/cron'];
+
+const USER_FIELDS = {
+  username: {column: 'username', label: 'Username', required: true, maxLength: 100},
+  displayName: {column: 'display_name', label: 'Display name', maxLength: 255},
+  role: {column: 'role', label: 'Role', required: true, oneOf: ROLES},
+  active: {column: 'active', label: 'Active', type: 'boolean'}
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hashHex] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a SHA-256 of the session token is stored, so a leaked table can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+  await query(
+    'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [userId, hashToken(token), expiresAt]
+  );
+  await query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [userId]);
+  return {token, expiresAt};
+}
+
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name || user.username,
+    role: user.role,
+    active: user.active,
+    lastLogin: user.last_login,
+    permissions: permissionsForRole(user.role)
+  };
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Resolve the bearer token to req.user; every /api route except PUBLIC_API_PATHS needs one
+async function authenticate(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) {
+    return res.status(401).json({error: 'Authentication required'});
+  }
+
+  try {
+    const result = await query(`
+      SELECT u.*, s.id AS session_id
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active = TRUE
+    `, [hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({error: 'Session expired, please log in again'});
+    }
+
+    req.user = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('❌ Error checking session:', error);
+    sendError(res, error, 'check session');
+  }
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.user && PERMISSIONS[permission].includes(req.user.role)) return next();
+    console.warn(`⛔ ${req.user ? req.user.username : 'anonymous'} denied ${permission} on ${req.method} ${req.originalUrl}`);
+    res.status(403).json({error: `Your role is not allowed to do this (${permission})`});
+  };
+}
+
+// ===== Error responses =====
+
+// Every failed request is answered with {error, details?, fields?, override?}: `error` is
+// a one-line summary, `details` lists each problem, and `fields` maps request keys to the
+// problem with that value so the UI can show it next to the input.
+
+// Field rules per table, to name the request field behind a database constraint error
+const TABLE_FIELDS = {
+  vendors: VENDOR_FIELDS,
+  vendor_visits: VISIT_FIELDS,
+  brands: BRAND_FIELDS,
+  issues: ISSUE_FIELDS,
+  issue_reports: ISSUE_REPORT_FIELDS,
+  invoices: INVOICE_FIELDS,
+  invoice_items: INVOICE_ITEM_FIELDS,
+  invoice_payments: PAYMENT_FIELDS,
+  credit_notes: CREDIT_NOTE_FIELDS,
+  purchase_orders: PURCHASE_ORDER_FIELDS,
+  purchase_order_items: PURCHASE_ORDER_ITEM_FIELDS,
+  goods_receipts: GOODS_RECEIPT_FIELDS,
+  goods_receipt_items: GOODS_RECEIPT_ITEM_FIELDS,
+  display_contracts: CONTRACT_FIELDS,
+  rent_receipts: RENT_RECEIPT_FIELDS,
+  stores: STORE_FIELDS,
+  notification_settings: NOTIFICATION_SETTINGS_FIELDS,
+  users: USER_FIELDS
+};
+
+// Tables named in foreign key errors, as the user knows them
+const TABLE_LABELS = {
+  vendors: 'Vendor', brands: 'Brand', invoices: 'Invoice', invoice_payments: 'Payment',
+  credit_notes: 'Credit note', issues: 'Issue', issue_reports: 'Issue report', purchase_orders: 'Purchase order',
+  display_contracts: 'Display contract', rent_charges: 'Rent charge', stores: 'Store', users: 'User',
+  notification_settings: 'Reminder setup'
+};
+
+function fieldForColumn(table, column) {
+  const entry = Object.entries(TABLE_FIELDS[table] || {}).find(([, spec]) => spec.column === column);
+  return entry ? {key: entry[0], label: entry[1].label} : {key: null, label: column};
+}
+
+// Columns and values from a constraint error's detail, e.g. "Key (vendor_id, crn_number)=(3, CN-1) ..."
+function parseErrorKey(detail) {
+  const match = /Key \((.+?)\)=\((.*?)\)/.exec(detail || '');
+  return match ? {columns: match[1].split(', '), values: match[2].split(', ')} : {columns: [], values: []};
+}
+
+// HTTP status for database errors caused by bad input rather than a server fault
+function dbErrorStatus(error) {
+  if (error.code === '23505') return 409; // unique_violation
+  if (error.code === '23503' && /still referenced/.test(error.detail || '')) return 409; // row still in use
+  if (['23502', '23503', '23514', '22P02', '22007', '22008', '22003'].includes(error.code)) return 400; // not null, fk, check, bad number/date
+  return 500;
+}
+
+// A message (and the request field it is about, if known) for a database error that
+// dbErrorStatus puts down to bad input. Returns null for anything else.
+function describeDbError(error) {
+  const key = parseErrorKey(error.detail);
+  if (error.code === '23505') {
+    const columns = key.columns.filter(column => !['vendor_id', 'store_id'].includes(column));
+    if (columns.length === 0) return {field: null, message: 'A record with the same values already exists'};
+    const field = fieldForColumn(error.table, columns[0]);
+    const scope = key.columns.includes('vendor_id') && columns.length > 0 ? ' for this vendor' : '';
+    const value = key.values[key.columns.indexOf(columns[0])];
+    return {field: field.key, message: `${field.label}${value ? ` "${value}"` : ''} is already in use${scope}`};
+  }
+  if (error.code === '23503') {
+    const referenced = /table "(\w+)"/.exec(error.detail || '');
+    if (/still referenced/.test(error.detail || '')) {
+      return {field: null, message: `Still in use by ${referenced ? referenced[1].replace(/_/g, ' ') : 'other records'}`};
+    }
+    if (key.columns.length === 0) return {field: null, message: 'It refers to a record that does not exist'};
+    const field = fieldForColumn(error.table, key.columns[0]);
+    const label = referenced ? TABLE_LABELS[referenced[1]] || referenced[1] : field.label;
+    return {field: field.key, message: `${label} ${key.values[0]} does not exist`};
+  }
+  if (error.code === '23502') {
+    const field = fieldForColumn(error.table, error.column);
+    return {field: field.key, message: `${field.label || 'A required value'} is required`};
+  }
+  if (error.code === '23514') {
+    // CHECK constraints are named <table>_<column>_check, or <table>_check across columns
+    const column = (error.constraint || '').replace(`${error.table}_`, '').replace(/_check\d*$/, '');
+    const field = fieldForColumn(error.table, column);
+    return field.key
+      ? {field: field.key, message: `${field.label} has a value that is not allowed`}
+      : {field: null, message: `The values break the rule ${error.constraint}`};
+  }
+  if (['22P02', '22007', '22008', '22003'].includes(error.code)) {
+    return {field: null, message: `Invalid value: ${error.message}`};
+  }
+  return null;
+}
+
+// A 400 to throw from inside a transaction; sendError turns it into the response
+function validationError(errors, fields = {}) {
+  return Object.assign(new Error('Validation failed'), {status: 400, details: errors, fields});
+}
+
+// Answer 400 with the errors from buildInsert, buildUpdate, parseListQuery or collectErrors
+function sendValidationErrors(res, {errors, fields}) {
+  return res.status(400).json({error: 'Validation failed', details: errors, fields});
+}
+
+// Answer a caught error. Errors thrown with a status (validationError, checkInvoiceBalance,
+// ...) are passed on as they are, input errors reported by the database get a readable
+// message, and anything else is a 500 "Failed to <action>".
+function sendError(res, error, action) {
+  if (error.details) {
+    return res.status(error.status || 400).json({
+      error: error.message, details: error.details, fields: error.fields, override: error.override,
+      conflict: error.conflict, current: error.current
+    });
+  }
+  const described = error.status ? null : describeDbError(error);
+  if (described) {
+    return res.status(dbErrorStatus(error)).json({
+      error: `Failed to ${action}: ${described.message}`,
+      details: [described.message],
+      fields: described.field ? {[described.field]: described.message} : {}
+    });
+  }
+  res.status(error.status || 500).json({error: `Failed to ${action}: ${error.message}`});
+}
+
+app.use('/api', authenticate);
+app.use('/api', resolveStore);
+
+// Record ids in the path are positive integers; anything else never reaches SQL
+app.param('id', (req, res, next, id) => {
+  if (/^[1-9]\d{0,17}$/.test(id)) return next();
+  const message = `"${id}" is not a valid id`;
+  sendValidationErrors(res, {errors: [message], fields: {id: message}});
+});
+
+// Whether the first owner account still has to be created
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    const result = await query('SELECT COUNT(*)::int AS users FROM users');
+    res.json({setupRequired: result.rows[0].users === 0});
+  } catch (error) {
+    console.error('❌ Error checking auth status:', error);
+    sendError(res, error, 'check auth status');
+  }
+});
+
+// Create the first owner account. Only works while there are no users at all.
+app.post('/api/auth/setup', async (req, res) => {
+  console.log('🔐 POST /api/auth/setup - Creating first owner account:', req.body.username);
+  try {
+    const insert = buildInsert({...req.body, role: 'owner', active: true}, USER_FIELDS);
+    const passwordError = validatePassword(req.body.password);
+    if (passwordError) addFieldError(insert, 'password', passwordError);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+
+    const passwordHash = await hashPassword(req.body.password);
+    const user = await withTransaction(async (client) => {
+      // Lock the table so two browsers can't both claim the first account
+      await client.query('LOCK TABLE users IN EXCLUSIVE MODE');
+      const existing = await client.query('SELECT COUNT(*)::int AS users FROM users');
+      if (existing.rows[0].users > 0) return null;
+      const values = [...insert.values, passwordHash];
+      const result = await client.query(
+        `INSERT INTO users (${[...insert.columns, 'password_hash'].join(', ')})
+         VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      await recordAudit(client, {user: result.rows[0]}, 'users', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(409).json({error: 'Setup has already been completed'});
+    }
+
+    const session = await createSession(user.id);
+    console.log(`✅ Owner account created. ID: ${user.id}`);
+    res.json({success: true, ...session, user: publicUser(user)});
+  } catch (error) {
+    console.error('❌ Error in POST /api/auth/setup:', error);
+    sendError(res, error, 'complete setup');
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const username = String(req.body.username || '').trim();
+  console.log('🔐 POST /api/auth/login - Login attempt:', username);
+  try {
+    const result = await query('SELECT * FROM users WHERE LOWER(username) = LOWER($1) AND active = TRUE', [username]);
+    const user = result.rows[0];
+
+    if (!user || !(await verifyPassword(req.body.password || '', user.password_hash))) {
+      console.warn(`⛔ Failed login for "${username}"`);
+      return res.status(401).json({error: 'Invalid username or password'});
+    }
+
+    const session = await createSession(user.id);
+    console.log(`✅ User logged in: ${user.username} (${user.role})`);
+    res.json({success: true, ...session, user: publicUser(user)});
+  } catch (error) {
+    console.error('❌ Error in POST /api/auth/login:', error);
+    sendError(res, error, 'log in');
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await query('DELETE FROM user_sessions WHERE id = $1', [req.user.session_id]);
+    console.log(`👋 User logged out: ${req.user.username}`);
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error in POST /api/auth/logout:', error);
+    sendError(res, error, 'log out');
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({success: true, user: publicUser(req.user)});
+});
+
+// User management (owner only)
+app.get('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM users ORDER BY role, username');
+    res.json({success: true, users: result.rows.map(publicUser)});
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    sendError(res, error, 'fetch users');
+  }
+});
+
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+  console.log('📝 POST /api/users - Adding new user:', req.body.username);
+  try {
+    const insert = buildInsert({role: 'staff', ...req.body}, USER_FIELDS);
+    const passwordError = validatePassword(req.body.password);
+    if (passwordError) addFieldError(insert, 'password', passwordError);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+
+    const values = [...insert.values, await hashPassword(req.body.password)];
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO users (${[...insert.columns, 'password_hash'].join(', ')})
+         VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      await recordAudit(client, req, 'users', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ User added successfully. ID: ${user.id}`);
+    res.json({success: true, user: publicUser(user)});
+  } catch (error) {
+    console.error('❌ Error in POST /api/users:', error);
+    sendError(res, error, 'add user');
+  }
+});
+
+const updateUser = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const update = buildUpdate(req.body, USER_FIELDS);
+    if (req.body.password !== undefined && req.body.password !== '') {
+      const passwordError = validatePassword(req.body.password);
+      if (passwordError) {
+        addFieldError(update, 'password', passwordError);
+      } else {
+        update.values.push(await hashPassword(req.body.password));
+        update.sets.push(`password_hash = $${update.values.length}`);
+      }
+    }
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const user = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'users', userId, true);
+      if (!before) return null;
+
+      const result = await client.query(
+        `UPDATE users SET ${update.sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${update.values.length + 1} RETURNING *`,
+        [...update.values, userId]
+      );
+      // Never leave the store without an active owner
+      const owners = await client.query("SELECT COUNT(*)::int AS owners FROM users WHERE role = 'owner' AND active = TRUE");
+      if (owners.rows[0].owners === 0) {
+        throw Object.assign(new Error('At least one active owner account is required'), {status: 400});
+      }
+      if (result.rows[0].active === false || req.body.password) {
+        await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+      }
+      await recordAudit(client, req, 'users', userId, 'update', before);
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(404).json({error: 'User not found'});
+    }
+
+    console.log(`✅ User updated successfully. ID: ${userId}`);
+    res.json({success: true, user: publicUser(user)});
+  } catch (error) {
+    console.error('❌ Error updating user:', error);
+    sendError(res, error, 'update user');
+  }
+};
+app.put('/api/users/:id', requirePermission('users:manage'), updateUser);
+app.patch('/api/users/:id', requirePermission('users:manage'), updateUser);
+
+// ===== Stores =====
+
+// Vendors and brands are shared by the whole chain; invoices (with their payments and
+// credit notes), issues, visits, purchase orders, payment runs and display rent belong to
+// one store. A request picks its store with the X-Store-Id header (or ?storeId=); without
+// one it works on the first open store, so clients from before there were several carry on
+// as they were. Owners may send "all" to read every store at once, for consolidated reports.
+
+// Where a record's store is kept; payments and credit notes follow their invoice
+const STORE_OF = {
+  invoice_payments: 'SELECT i.store_id FROM invoice_payments p JOIN invoices i ON i.id = p.invoice_id WHERE p.id = $1',
+  credit_notes: 'SELECT i.store_id FROM credit_notes c JOIN invoices i ON i.id = c.invoice_id WHERE c.id = $1'
+};
+
+// Resolve the requested store to req.store, or null for all stores
+async function resolveStore(req, res, next) {
+  if (!req.user || req.path.startsWith('/auth/') || req.path.startsWith('/stores')) return next();
+
+  const requested = String(req.get('X-Store-Id') || req.query.storeId || '').trim();
+  res.vary('X-Store-Id');
+  try {
+    if (requested === 'all') {
+      if (!PERMISSIONS['stores:all'].includes(req.user.role)) {
+        return res.status(403).json({error: 'Your role is not allowed to do this (stores:all)'});
+      }
+      req.store = null;
+      return next();
+    }
+    if (requested && !/^[1-9]\d{0,17}$/.test(requested)) {
+      const message = `"${requested}" is not a valid store`;
+      return sendValidationErrors(res, {errors: [message], fields: {storeId: message}});
+    }
+
+    const result = requested
+      ? await query('SELECT * FROM stores WHERE id = $1', [requested])
+      : await query('SELECT * FROM stores ORDER BY active DESC, id LIMIT 1');
+    if (result.rows.length === 0) {
+      const message = `Store ${requested} does not exist`;
+      return sendValidationErrors(res, {errors: [message], fields: {storeId: message}});
+    }
+    req.store = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('❌ Error resolving store:', error);
+    sendError(res, error, 'resolve store');
+  }
+}
+
+// SQL condition limiting `column` to the request's store (TRUE across all stores).
+// The id was read from the stores table, so it is safe to inline.
+function storeScope(req, column) {
+  return req.store ? `${column} = ${Number(req.store.id)}` : 'TRUE';
+}
+
+// The query of a paginated list with its storeId filter set to the request's store
+function listQuery(req) {
+  return {...req.query, storeId: req.store ? req.store.id : undefined};
+}
+
+// The store new records go into. Recording needs one store picked, and an open one.
+// Writes against an existing record (a payment on an invoice, rent received on a charge)
+// call it too, so checkRecordStore always has a store to hold the record to.
+function writableStore(req) {
+  if (!req.store) {
+    const message = 'Choose a store to record this in';
+    throw validationError([message], {storeId: message});
+  }
+  if (!req.store.active) {
+    const message = `${req.store.name} is closed; reopen it to record anything more there`;
+    throw Object.assign(new Error(message), {status: 409, details: [message]});
+  }
+  return req.store.id;
+}
+
+// Refuse to work on a record from another store than the request's. With a field, the
+// record was named in the request body and the error is reported against that field.
+async function checkRecordStore(db, req, table, id, field = null) {
+  if (!req.store || !id) return;
+  const result = await db.query(STORE_OF[table] || `SELECT store_id FROM ${table} WHERE id = $1`, [id]);
+  if (result.rows.length === 0 || String(result.rows[0].store_id) === String(req.store.id)) return;
+
+  const label = TABLE_LABELS[table].toLowerCase();
+  if (field) {
+    const message = `This ${label} belongs to another store`;
+    throw validationError([message], {[field]: message});
+  }
+  const message = `This ${label} belongs to another store; switch to that store to work on it`;
+  throw Object.assign(new Error(message), {status: 404, details: [message]});
+}
+
+// Route guard applying checkRecordStore to the :id in the path
+function requireStoreRecord(table) {
+  return async (req, res, next) => {
+    try {
+      await checkRecordStore({query}, req, table, req.params.id);
+      next();
+    } catch (error) {
+      sendError(res, error, `fetch ${TABLE_LABELS[table].toLowerCase()}`);
+    }
+  };
+}
+
+app.get('/api/stores', requirePermission('data:read'), async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM stores ORDER BY id');
+    res.json({success: true, stores: result.rows});
+  } catch (error) {
+    console.error('❌ Error fetching stores:', error);
+    sendError(res, error, 'fetch stores');
+  }
+});
+
+app.post('/api/stores', requirePermission('stores:manage'), async (req, res) => {
+  console.log('📝 POST /api/stores - Adding new store:', req.body.name);
+  try {
+    const insert = buildInsert(req.body, STORE_FIELDS);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+
+    const store = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO stores (${insert.columns.join(', ')})
+         VALUES (${insert.values.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        insert.values
+      );
+      await recordAudit(client, req, 'stores', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ Store added successfully. ID: ${store.id}`);
+    res.json({success: true, store});
+  } catch (error) {
+    console.error('❌ Error in POST /api/stores:', error);
+    sendError(res, error, 'add store');
+  }
+});
+
+// Stores are closed (active = false) rather than deleted; their history stays
+const updateStore = async (req, res) => {
+  try {
+    const update = buildUpdate(req.body, STORE_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const store = await updateRecord(req, 'stores', req.params.id, update, [], async (client) => {
+      const open = await client.query('SELECT COUNT(*)::int AS open FROM stores WHERE active = TRUE');
+      if (open.rows[0].open === 0) {
+        const message = 'At least one store has to stay open';
+        throw validationError([message], {active: message});
+      }
+    });
+    if (!store) {
+      return res.status(404).json({error: 'Store not found'});
+    }
+
+    console.log(`✅ Store updated successfully. ID: ${req.params.id}`);
+    res.json({success: true, store});
+  } catch (error) {
+    console.error('❌ Error updating store:', error);
+    sendError(res, error, 'update store');
+  }
+};
+app.put('/api/stores/:id', requirePermission('stores:manage'), updateStore);
+app.patch('/api/stores/:id', requirePermission('stores:manage'), updateStore);
+
+// ===== Audit trail =====
+
+// Entity names used in audit_log, keyed by table
+const AUDIT_ENTITY_TYPES = {
+  vendors: 'vendor',
+  brands: 'brand',
+  issues: 'issue',
+  issue_reports: 'issue_report',
+  vendor_visits: 'visit',
+  display_contracts: 'display_contract',
+  rent_charges: 'rent_charge',
+  rent_receipts: 'rent_receipt',
+  invoices: 'invoice',
+  invoice_payments: 'payment',
+  purchase_orders: 'purchase_order',
+  goods_receipts: 'goods_receipt',
+  payment_runs: 'payment_run',
+  credit_notes: 'credit_note',
+  stores: 'store',
+  notification_settings: 'notification_settings',
+  users: 'user'
+};
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'archive', 'unarchive'];
+const AUDIT_HIDDEN_COLUMNS = ['password_hash'];
+
+// Read one row as JSON for the audit log. row_to_json keeps DATE columns as
+// 'YYYY-MM-DD' strings, like the backup. Pass lock=true before changing the row.
+async function auditSnapshot(db, table, id, lock = false) {
+  const result = await db.query(
+    `SELECT row_to_json(t) AS row FROM ${table} t WHERE t.id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0].row;
+  AUDIT_HIDDEN_COLUMNS.forEach(column => delete row[column]);
+
+  // Line items are part of the invoice as far as its history is concerned
+  if (table === 'invoices') {
+    const items = await db.query('SELECT row_to_json(t) AS row FROM invoice_items t WHERE t.invoice_id = $1 ORDER BY t.sort_order, t.id', [id]);
+    row.items = items.rows.map(({row: item}) => {
+      ['invoice_id', 'created_at', 'updated_at'].forEach(column => delete item[column]);
+      return item;
+    });
+  }
+  return row;
+}
+
+async function insertAuditEntry(db, req, entry) {
+  const actor = req.user || {};
+  await db.query(`
+    INSERT INTO audit_log (
+      entity_type, entity_id, action, vendor_id, invoice_id,
+      before_data, after_data, user_id, username
+    ) VALUES (
+      $1, $2, $3, COALESCE($4, (SELECT vendor_id FROM invoices WHERE id = $5)), $5,
+      $6, $7, $8, $9
+    )
+  `, [
+    entry.entityType, entry.entityId || null, entry.action, entry.vendorId || null, entry.invoiceId || null,
+    entry.before ? JSON.stringify(entry.before) : null, entry.after ? JSON.stringify(entry.after) : null,
+    actor.id || null, actor.username || null
+  ]);
+}
+
+// Record a create/update/delete of one row. Call with the same client as the change itself,
+// after the change, passing the row as it was before (null for a create).
+async function recordAudit(db, req, table, id, action, before = null) {
+  const after = action === 'delete' ? null : await auditSnapshot(db, table, id);
+  const row = after || before;
+  await insertAuditEntry(db, req, {
+    entityType: AUDIT_ENTITY_TYPES[table],
+    entityId: row.id,
+    action,
+    vendorId: table === 'vendors' ? row.id : row.vendor_id,
+    invoiceId: table === 'invoices' ? row.id : row.invoice_id,
+    before,
+    after
+  });
+}
+
+// Query the audit log by entity, vendor, invoice, action and/or date range (YYYY-MM-DD, inclusive)
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const filters = {
+      entityType: {column: 'entity_type', label: 'Entity type', oneOf: Object.values(AUDIT_ENTITY_TYPES).concat('database')},
+      entityId: {column: 'entity_id', label: 'Entity id', type: 'integer', positive: true},
+      vendorId: {column: 'vendor_id', label: 'Vendor', type: 'integer', positive: true},
+      invoiceId: {column: 'invoice_id', label: 'Invoice', type: 'integer', positive: true},
+      action: {column: 'action', label: 'Action', oneOf: AUDIT_ACTIONS},
+      from: {column: 'created_at', operator: '>=', label: 'From date', type: 'date'},
+      to: {column: 'created_at', operator: '<', label: 'To date', type: 'date'} // compared with the day after
+    };
+
+    const conditions = [];
+    const values = [];
+    const results = {};
+    Object.entries(filters).forEach(([key, spec]) => {
+      if (req.query[key] === undefined || req.query[key] === '') return;
+      const {value, error} = results[key] = normalizeField(spec, req.query[key]);
+      if (error) return;
+
+      values.push(value);
+      if (spec.type === 'date') {
+        const day = key === 'to' ? `$${values.length}::date + 1` : `$${values.length}::date`;
+        conditions.push(`${spec.column} ${spec.operator} ${day}`);
+      } else {
+        conditions.push(`${spec.column} = $${values.length}`);
+      }
+    });
+
+    const limitField = normalizeField({label: 'Limit', type: 'integer', positive: true, default: 200}, req.query.limit);
+    const invalid = collectErrors({...results, limit: limitField});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    values.push(Math.min(limitField.value, 1000));
+    const result = await query(`
+      SELECT * FROM audit_log
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length}
+    `, values);
+
+    res.json({success: true, entries: result.rows});
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    sendError(res, error, 'fetch audit log');
+  }
+});
+
+// API Routes
+
+// Reference data the forms need in full: every vendor and brand for the dropdowns.
+// Issues and invoices grow without bound, so they are only served a page at a time.
+app.get('/api/data', requirePermission('data:read'), async (req, res) => {
+  try {
+    console.log('📖 Fetching vendors and brands from PostgreSQL...');
+
+    const [vendorsResult, brandsResult, databaseResult] = await Promise.all([
+      query(`SELECT * FROM (${vendorListSql(req)}) v ORDER BY v.name, v.id`),
+      query(`SELECT * FROM (${BRAND_LIST_SQL}) b ORDER BY b.vendor_name, b.name, b.id`),
+      query('SELECT current_database() AS database')
+    ]);
+    const dbName = databaseResult.rows[0].database;
+
+    const data = {
+      vendors: vendorsResult.rows,
+      brands: brandsResult.rows,
+      lastSaved: new Date().toISOString(),
+      version: '3.0',
+      database: `PostgreSQL (${dbName})`,
+      store: req.store ? {id: req.store.id, name: req.store.name} : null
+    };
+
+    console.log(`✅ Data fetched successfully. Records: vendors=${data.vendors.length}, brands=${data.brands.length}`);
+    res.json(data);
+  } catch (error) {
+    console.error('❌ Error fetching data:', error);
+    sendError(res, error, 'read database');
+  }
+});
+
+// ===== Idempotent money writes =====
+
+// How long a stored response is replayed for the same Idempotency-Key. Writes queued
+// offline keep their key until they are sent, and the app stops replaying them after
+// OFFLINE_QUEUE_MAX_AGE_DAYS (index.html), which has to stay within this.
+const IDEMPOTENCY_KEY_TTL_DAYS = 30;
+
+// Run a write in one transaction, keyed by the request's Idempotency-Key header if it
+// has one. The key is claimed inside the same transaction, so a resent request waits
+// for the first to finish and then gets its response back instead of writing again;
+// if the first failed, nothing was kept and the resend runs normally.
+// Resolves to {body, replayed}.
+async function idempotentTransaction(req, callback) {
+  const key = req.get('Idempotency-Key');
+  if (key !== undefined && (key.trim() === '' || key.length > 255)) {
+    throw validationError(['Idempotency-Key must be 1 to 255 characters']);
+  }
+
+  return withTransaction(async (client) => {
+    if (key) {
+      const requestHash = crypto.createHash('sha256')
+        .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+        .digest('hex');
+      const expiredBefore = new Date(Date.now() - IDEMPOTENCY_KEY_TTL_DAYS * 86400000);
+      await client.query('DELETE FROM idempotency_keys WHERE created_at < $1', [expiredBefore]);
+
+      const findKey = async () => (await client.query(
+        'SELECT request_hash, response_body FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [req.user.id, key]
+      )).rows[0];
+      let stored = await findKey();
+      if (!stored) {
+        const claimed = await client.query(`
+          INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (user_id, idempotency_key) DO NOTHING
+          RETURNING id
+        `, [req.user.id, key, req.method, req.originalUrl, requestHash]);
+        // No row means a request with the same key got there first and has now committed
+        if (claimed.rows.length === 0) stored = await findKey();
+      }
+      if (stored) {
+        if (stored.request_hash !== requestHash) {
+          throw Object.assign(new Error('This Idempotency-Key was already used for a different request'), {status: 422});
+        }
+        return {body: stored.response_body, replayed: true};
+      }
+    }
+
+    const body = await callback(client);
+    if (key) {
+      await client.query(
+        'UPDATE idempotency_keys SET response_body = $1 WHERE user_id = $2 AND idempotency_key = $3',
+        [JSON.stringify(body), req.user.id, key]
+      );
+    }
+    return {body, replayed: false};
+  });
+}
+
+// Payments and credit notes may not come to more than the invoice amount. Call inside the
+// transaction after a write that put `increase` more against the invoice (or cut its amount
+// by that much). The body's override flag (allowOverpayment / allowOverCredit) lets a
+// deliberate advance through; the error names the flag so the client can offer it.
+async function checkInvoiceBalance(client, invoiceId, increase, body, override) {
+  if (increase <= 0.005 || body[override] === true || body[override] === 'true') return;
+
+  await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+  const [invoice] = await fetchUnpaidInvoices(client, [invoiceId]);
+  if (!invoice || invoice.unpaid >= -0.005) return;
+
+  const applied = Math.round((invoice.invoiceAmount - invoice.unpaid) * 100) / 100;
+  throw Object.assign(new Error('Validation failed'), {
+    status: 400,
+    override,
+    details: [
+      `Payments and credit notes on invoice ${invoice.invoiceNumber} would come to ₹${applied}, ` +
+      `₹${-invoice.unpaid} more than the invoice amount of ₹${invoice.invoiceAmount}`
+    ]
+  });
+}
+
+// What a payment puts against its invoice: nothing once its cheque has bounced or been cancelled
+function paymentApplied(payment) {
+  return ['bounced', 'cancelled'].includes(payment.cheque_status) ? 0 : parseFloat(payment.payment_amount || 0);
+}
+
+// ===== Paginated lists =====
+
+const ISSUE_OPEN_SQL_LIST = ISSUE_OPEN_STATUSES.map(status => `'${status}'`).join(', ');
+
+// The vendor list with the counts, contract rent and visit dates of the request's store.
+// A store goes by its own last logged visit; until it has one, by the vendor's.
+function vendorListSql(req) {
+  const today = localDateString(new Date());
+  return `
+  SELECT v.*,
+         COALESCE(sv.last_visit, v.last_visit) AS store_last_visit,
+         CASE WHEN sv.last_visit IS NULL THEN v.next_visit ELSE ${nextVisitSql('sv.last_visit', 'v.visit_frequency')} END AS store_next_visit,
+         COALESCE(c.contract_rent, 0) AS contract_rent,
+         COALESCE(b.brand_count, 0) AS brand_count,
+         COALESCE(s.issue_count, 0) AS issue_count,
+         COALESCE(s.open_issue_count, 0) AS open_issue_count,
+         COALESCE(n.invoice_count, 0) AS invoice_count,
+         n.last_invoice_date
+  FROM vendors v
+  LEFT JOIN (
+    SELECT vendor_id, SUM(monthly_rent) AS contract_rent
+    FROM display_contracts
+    WHERE start_date <= '${today}' AND (end_date IS NULL OR end_date >= '${today}')
+      AND ${storeScope(req, 'store_id')}
+    GROUP BY vendor_id
+  ) c ON c.vendor_id = v.id
+  LEFT JOIN (SELECT vendor_id, COUNT(*) AS brand_count FROM brands WHERE status = 'active' GROUP BY vendor_id) b ON b.vendor_id = v.id
+  LEFT JOIN (
+    SELECT vendor_id, COUNT(*) AS issue_count,
+           SUM(CASE WHEN status IN (${ISSUE_OPEN_SQL_LIST}) THEN 1 ELSE 0 END) AS open_issue_count
+    FROM issues WHERE ${storeScope(req, 'store_id')} GROUP BY vendor_id
+  ) s ON s.vendor_id = v.id
+  LEFT JOIN (
+    SELECT vendor_id, COUNT(*) AS invoice_count, MAX(invoice_date) AS last_invoice_date
+    FROM invoices WHERE ${storeScope(req, 'store_id')} GROUP BY vendor_id
+  ) n ON n.vendor_id = v.id
+  LEFT JOIN (
+    SELECT vendor_id, MAX(visit_date) AS last_visit
+    FROM vendor_visits WHERE ${storeScope(req, 'store_id')} GROUP BY vendor_id
+  ) sv ON sv.vendor_id = v.id
+`;
+}
+
+const VENDOR_LIST = {
+  search: ['v.name', 'v.contact_person', 'v.phone', 'v.email', 'v.gstin'],
+  filters: {
+    paymentTerms: {column: 'v.payment_terms', label: 'Payment terms', oneOf: PAYMENT_TERMS},
+    visitFrequency: {column: 'v.visit_frequency', label: 'Visit frequency', oneOf: VISIT_FREQUENCIES},
+    hasDisplay: {column: 'v.has_display', label: 'Display space', oneOf: ['yes', 'no']},
+    hasOpenIssues: {type: 'boolean', label: 'Has open issues', whenTrue: 'v.open_issue_count > 0', whenFalse: 'v.open_issue_count = 0'},
+    // Archived vendors are in the trash, so the list leaves them out unless asked
+    archived: {type: 'boolean', label: 'Archived', default: false, whenTrue: "v.status = 'archived'", whenFalse: "v.status = 'active'"}
+  },
+  sorts: {
+    name: 'v.name',
+    nextVisit: 'v.store_next_visit',
+    lastInvoice: 'v.last_invoice_date',
+    openIssues: 'v.open_issue_count',
+    contractRent: 'v.contract_rent',
+    archivedAt: 'v.archived_at'
+  },
+  defaultSort: 'name',
+  tieBreak: 'v.id'
+};
+
+app.get('/api/vendors', requirePermission('data:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, VENDOR_LIST);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const [rows, count] = await Promise.all([
+      query(`SELECT * FROM (${vendorListSql(req)}) v ${list.where} ${list.orderBy} ${list.paging}`, list.values),
+      query(`SELECT COUNT(*) AS total FROM (${vendorListSql(req)}) v ${list.where}`, list.values)
+    ]);
+
+    // Each vendor's most recent invoice, with its payment status
+    const vendorIds = rows.rows.map(vendor => vendor.id);
+    const lastInvoices = new Map();
+    if (vendorIds.length > 0) {
+      const placeholders = vendorIds.map((_, i) => `$${i + 2}`).join(', ');
+      const latest = await query(`
+        SELECT inv.id, inv.vendor_id, inv.invoice_number, inv.invoice_amount, inv.payment_status
+        FROM (${INVOICE_BALANCES_SQL}) inv
+        JOIN (
+          SELECT vendor_id, MAX(invoice_date) AS invoice_date FROM invoices
+          WHERE vendor_id IN (${placeholders}) AND ${storeScope(req, 'store_id')} GROUP BY vendor_id
+        ) l ON l.vendor_id = inv.vendor_id AND l.invoice_date = inv.invoice_date
+        WHERE ${storeScope(req, 'inv.store_id')}
+        ORDER BY inv.id
+      `, [localDateString(new Date()), ...vendorIds]);
+      latest.rows.forEach(invoice => lastInvoices.set(String(invoice.vendor_id), {
+        id: invoice.id,
+        invoiceNumber: invoice.invoice_number,
+        invoiceAmount: parseFloat(invoice.invoice_amount || 0),
+        paymentStatus: invoice.payment_status
+      }));
+    }
+
+    res.json({
+      success: true,
+      vendors: rows.rows.map(vendor => ({...vendor, last_invoice: lastInvoices.get(String(vendor.id)) || null})),
+      ...pageInfo(list, parseInt(count.rows[0].total, 10))
+    });
+  } catch (error) {
+    console.error('❌ Error listing vendors:', error);
+    sendError(res, error, 'list vendors');
+  }
+});
+
+const BRAND_LIST_SQL = `
+  SELECT b.*, v.name AS vendor_name, COALESCE(v.status, 'active') AS vendor_status
+  FROM brands b LEFT JOIN vendors v ON v.id = b.vendor_id
+`;
+
+const BRAND_LIST = {
+  search: ['b.name', 'b.sku', 'b.category', 'b.vendor_name'],
+  filters: {
+    vendorId: {column: 'b.vendor_id', label: 'Vendor', type: 'integer', positive: true},
+    category: {column: 'b.category', label: 'Category', oneOf: BRAND_CATEGORIES},
+    // Brands of an archived vendor go with it, and come back when it is restored
+    archived: {
+      type: 'boolean', label: 'Archived', default: false,
+      whenTrue: "b.status = 'archived'",
+      whenFalse: "b.status = 'active' AND b.vendor_status = 'active'"
+    }
+  },
+  sorts: {
+    name: 'b.name', vendorName: 'b.vendor_name', category: 'b.category', sku: 'b.sku',
+    dateAdded: 'b.date_added', archivedAt: 'b.archived_at'
+  },
+  defaultSort: 'vendorName',
+  tieBreak: 'b.name, b.id'
+};
+
+app.get('/api/brands', requirePermission('data:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, BRAND_LIST);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const [rows, count] = await Promise.all([
+      query(`SELECT * FROM (${BRAND_LIST_SQL}) b ${list.where} ${list.orderBy} ${list.paging}`, list.values),
+      query(`SELECT COUNT(*) AS total FROM (${BRAND_LIST_SQL}) b ${list.where}`, list.values)
+    ]);
+
+    res.json({success: true, brands: rows.rows, ...pageInfo(list, parseInt(count.rows[0].total, 10))});
+  } catch (error) {
+    console.error('❌ Error listing brands:', error);
+    sendError(res, error, 'list brands');
+  }
+});
+
+const ISSUE_LIST_SQL = `
+  SELECT s.*, v.name AS vendor_name, v.phone AS vendor_phone, c.crn_number, st.name AS store_name
+  FROM issues s
+  LEFT JOIN vendors v ON v.id = s.vendor_id
+  LEFT JOIN credit_notes c ON c.id = s.credit_note_id
+  LEFT JOIN stores st ON st.id = s.store_id
+`;
+
+const ISSUE_LIST = {
+  search: ['s.product_name', 's.description', 's.vendor_name'],
+  filters: {
+    // Set from the request's store by listQuery
+    storeId: {column: 's.store_id', label: 'Store', type: 'integer', positive: true},
+    vendorId: {column: 's.vendor_id', label: 'Vendor', type: 'integer', positive: true},
+    status: {column: 's.status', label: 'Status', oneOf: ISSUE_STATUSES},
+    issueType: {column: 's.issue_type', label: 'Issue type', oneOf: ISSUE_TYPES},
+    open: {
+      type: 'boolean', label: 'Open',
+      whenTrue: `s.status IN (${ISSUE_OPEN_SQL_LIST})`,
+      whenFalse: `s.status NOT IN (${ISSUE_OPEN_SQL_LIST})`
+    },
+    from: {column: 's.date_found', operator: '>=', label: 'From date', type: 'date'},
+    to: {column: 's.date_found', operator: '<=', label: 'To date', type: 'date'}
+  },
+  sorts: {
+    // Open issues first
+    status: `CASE WHEN s.status IN (${ISSUE_OPEN_SQL_LIST}) THEN 0 ELSE 1 END`,
+    dateFound: 's.date_found',
+    estimatedLoss: 's.estimated_loss',
+    productName: 's.product_name',
+    vendorName: 's.vendor_name'
+  },
+  defaultSort: 'status',
+  tieBreak: 's.date_found DESC, s.id DESC'
+};
+
+// One page of issues plus counts and loss totals over everything the filters match
+app.get('/api/issues', requirePermission('data:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(listQuery(req), ISSUE_LIST);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const [rows, totals] = await Promise.all([
+      query(`SELECT * FROM (${ISSUE_LIST_SQL}) s ${list.where} ${list.orderBy} ${list.paging}`, list.values),
+      query(`
+        SELECT COUNT(*) AS total,
+               SUM(CASE WHEN s.status IN (${ISSUE_OPEN_SQL_LIST}) THEN 1 ELSE 0 END) AS open,
+               COALESCE(SUM(s.estimated_loss), 0) AS total_loss,
+               COALESCE(SUM(s.recovered_amount), 0) AS total_recovered
+        FROM (${ISSUE_LIST_SQL}) s ${list.where}
+      `, list.values)
+    ]);
+
+    const summary = totals.rows[0];
+    const total = parseInt(summary.total, 10);
+    const open = parseInt(summary.open || 0, 10);
+    res.json({
+      success: true,
+      issues: rows.rows,
+      summary: {
+        total,
+        open,
+        closed: total - open,
+        totalLoss: parseFloat(summary.total_loss),
+        totalRecovered: parseFloat(summary.total_recovered)
+      },
+      ...pageInfo(list, total)
+    });
+  } catch (error) {
+    console.error('❌ Error listing issues:', error);
+    sendError(res, error, 'list issues');
+  }
+});
+
+// Loss and recovery per vendor over all issues, largest losses first
+app.get('/api/reports/issue-recovery', requirePermission('data:read'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT v.id AS vendor_id, v.name AS vendor_name, COUNT(*) AS count,
+             SUM(CASE WHEN s.status IN (${ISSUE_OPEN_SQL_LIST}) THEN s.estimated_loss ELSE 0 END) AS open_loss,
+             SUM(CASE WHEN s.status IN (${ISSUE_OPEN_SQL_LIST}) THEN 0 ELSE s.estimated_loss END) AS closed_loss,
+             SUM(CASE WHEN s.status IN (${ISSUE_OPEN_SQL_LIST}) THEN 0 ELSE COALESCE(s.recovered_amount, 0) END) AS recovered,
+             SUM(CASE WHEN s.status = 'written_off' THEN s.estimated_loss ELSE 0 END) AS written_off
+      FROM issues s
+      JOIN vendors v ON v.id = s.vendor_id
+      WHERE ${storeScope(req, 's.store_id')}
+      GROUP BY v.id, v.name
+      ORDER BY SUM(s.estimated_loss) DESC, v.name
+    `);
+
+    res.json({
+      success: true,
+      vendors: result.rows.map(row => ({
+        vendorId: row.vendor_id,
+        vendorName: row.vendor_name,
+        count: parseInt(row.count, 10),
+        openLoss: parseFloat(row.open_loss || 0),
+        closedLoss: parseFloat(row.closed_loss || 0),
+        recovered: parseFloat(row.recovered || 0),
+        writtenOff: parseFloat(row.written_off || 0)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error building issue recovery report:', error);
+    sendError(res, error, 'build issue recovery report');
+  }
+});
+
+// Add vendor
+app.post('/api/vendors', requirePermission('vendors:write'), async (req, res) => {
+  console.log('📝 POST /api/vendors - Adding new vendor:', req.body.name);
+  try {
+    const insert = buildInsert(req.body, VENDOR_CREATE_FIELDS);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    // Without an explicit next visit, expect the vendor one visit interval after the last
+    const vendorValues = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (!vendorValues.next_visit && vendorValues.last_visit) {
+      vendorValues.next_visit = nextVisitDate(vendorValues.last_visit, vendorValues.visit_frequency);
+    }
+    const columns = Object.keys(vendorValues);
+
+    const vendor = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO vendors (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        Object.values(vendorValues)
+      );
+      await recordAudit(client, req, 'vendors', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ Vendor added successfully. ID: ${vendor.id}`);
+    res.json({success: true, vendor});
+  } catch (error) {
+    console.error('❌ Error in POST /api/vendors:', error);
+    sendError(res, error, 'add vendor');
+  }
+});
+
+// Add brand
+app.post('/api/brands', requirePermission('brands:write'), async (req, res) => {
+  console.log('📝 POST /api/brands - Adding new brand:', req.body.name);
+  try {
+    const insert = buildInsert(req.body, BRAND_CREATE_FIELDS);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+
+    const brand = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO brands (${insert.columns.join(', ')}) VALUES (${insert.columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        insert.values
+      );
+      await recordAudit(client, req, 'brands', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ Brand added successfully. ID: ${brand.id}`);
+    res.json({success: true, brand});
+  } catch (error) {
+    console.error('❌ Error in POST /api/brands:', error);
+    sendError(res, error, 'add brand');
+  }
+});
+
+// Add issue
+app.post('/api/issues', requirePermission('issues:write'), async (req, res) => {
+  console.log('📝 POST /api/issues - Adding new issue for product:', req.body.productName);
+  try {
+    const insert = buildInsert(req.body, withDefaults(ISSUE_FIELDS, {dateFound: localDateString(new Date())}));
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    const columns = [...insert.columns, 'store_id'];
+    const values = [...insert.values, writableStore(req)];
+
+    const issue = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO issues (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      await recordAudit(client, req, 'issues', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ Issue added successfully. ID: ${issue.id}`);
+    res.json({success: true, issue});
+  } catch (error) {
+    console.error('❌ Error in POST /api/issues:', error);
+    sendError(res, error, 'add issue');
+  }
+});
+
+// Add an invoice, or with replaceExisting update the vendor's invoice with the same number
+// (without it, 409 with the invoice as it stands). Send an Idempotency-Key header to make
+// resubmits safe; cutting an invoice below what is already paid on it needs allowOverpayment.
+app.post('/api/invoices', requirePermission('invoices:write'), async (req, res) => {
+  console.log('📝 POST /api/invoices - Processing invoice:', req.body.invoiceNumber);
+  try {
+    // With line items the amount and item count default to what the lines add up to
+    const items = req.body.items === undefined ? null : buildInvoiceItems(req.body.items);
+    const fields = {...req.body};
+    if (items && items.rows.length > 0) {
+      if (fields.invoiceAmount === undefined || fields.invoiceAmount === null || fields.invoiceAmount === '') fields.invoiceAmount = items.total;
+      if (!fields.totalItems) fields.totalItems = Math.round(items.totalQuantity);
+    }
+    const insert = buildInsert(fields, INVOICE_FIELDS);
+    const invalid = mergeErrors(insert, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    const header = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    const storeId = writableStore(req);
+
+    const {body: result, replayed} = await idempotentTransaction(req, async (client) => {
+      // Check if invoice already exists (same vendor + invoice number)
+      const existingInvoice = await client.query(
+        'SELECT id, store_id FROM invoices WHERE vendor_id = $1 AND invoice_number = $2',
+        [header.vendor_id, header.invoice_number]
+      );
+
+      if (existingInvoice.rows.length > 0) {
+        // Vendors number their invoices across the chain, so the same number in another store is a mistake
+        if (String(existingInvoice.rows[0].store_id) !== String(storeId)) {
+          const message = `Invoice ${header.invoice_number} from this vendor is already recorded in another store`;
+          throw Object.assign(new Error(message), {status: 409, details: [message], fields: {invoiceNumber: message}});
+        }
+        const invoiceId = existingInvoice.rows[0].id;
+        const before = await auditSnapshot(client, 'invoices', invoiceId, true);
+        // Re-entering a recorded invoice replaces it only when the client says so: an entry
+        // queued offline would otherwise overwrite whatever was entered or edited since
+        if (req.body.replaceExisting !== true && req.body.replaceExisting !== 'true') {
+          const message = `Invoice ${header.invoice_number} from this vendor is already recorded`;
+          const current = (await client.query('SELECT * FROM invoices WHERE id = $1', [invoiceId])).rows[0];
+          throw Object.assign(new Error(message), {status: 409, details: [message], fields: {invoiceNumber: message}, conflict: true, current});
+        }
+        console.log(`🔄 Updating existing invoice: ${header.invoice_number}`);
+        const update = insert.columns.filter(column => !['vendor_id', 'invoice_number'].includes(column));
+        const updateResult = await client.query(`
+          UPDATE invoices SET
+            ${update.map((column, i) => `${column} = $${i + 1}`).join(', ')},
+            last_updated = $${update.length + 1}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${update.length + 2} RETURNING *
+        `, [...update.map(column => header[column]), localDateString(new Date()), invoiceId]);
+        const invoice = updateResult.rows[0];
+        if (items) await saveInvoiceItems(client, invoiceId, invoice.vendor_id, items.rows);
+        await checkInvoiceTotal(client, invoiceId);
+        await checkInvoicePurchaseOrder(client, invoice);
+        checkTaxBreakdown(invoice, invoice.invoice_amount);
+        await checkInvoiceBalance(client, invoiceId, parseFloat(before.invoice_amount) - parseFloat(invoice.invoice_amount), req.body, 'allowOverpayment');
+        await recordAudit(client, req, 'invoices', invoiceId, 'update', before);
+        return {success: true, invoice, action: 'updated'};
+      }
+
+      console.log(`➕ Creating new invoice: ${header.invoice_number}`);
+      const columns = [...insert.columns, 'store_id'];
+      const insertResult = await client.query(
+        `INSERT INTO invoices (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [...insert.values, storeId]
+      );
+      const invoice = insertResult.rows[0];
+      if (items) await saveInvoiceItems(client, invoice.id, invoice.vendor_id, items.rows);
+      await checkInvoiceTotal(client, invoice.id);
+      await checkInvoicePurchaseOrder(client, invoice);
+      checkTaxBreakdown(invoice, invoice.invoice_amount);
+      await recordAudit(client, req, 'invoices', invoice.id, 'create');
+      return {success: true, invoice, action: 'created'};
+    });
+
+    if (result.invoice.po_id) {
+      result.match = (await fetchPurchaseOrders({query}, {poId: result.invoice.po_id}))[0].match;
+    }
+    console.log(`✅ Invoice processed successfully: ${replayed ? 'replayed' : result.action}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error in POST /api/invoices:', error);
+    sendError(res, error, 'add/update invoice');
+  }
+});
+
+// Create an issue report with all of its items in one go, so a batch is never half saved
+app.post('/api/issue-reports', requirePermission('issues:write'), async (req, res) => {
+  console.log('📝 POST /api/issue-reports - Adding issue report for vendor:', req.body.vendorId);
+  try {
+    const header = buildInsert(req.body, ISSUE_REPORT_FIELDS);
+    const items = buildIssueReportItems(req.body.items);
+    const invalid = mergeErrors(header, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    const columns = [...header.columns, 'store_id'];
+    const values = [...header.values, writableStore(req)];
+
+    // Keyed like the money writes, so a batch queued offline and resent is only saved once
+    const {body, replayed} = await idempotentTransaction(req, async (client) => {
+      const reportResult = await client.query(
+        `INSERT INTO issue_reports (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      const row = reportResult.rows[0];
+      await recordAudit(client, req, 'issue_reports', row.id, 'create');
+
+      row.issues = [];
+      for (const item of items.rows) {
+        const issueResult = await client.query(`
+          INSERT INTO issues (
+            report_id, vendor_id, product_name, issue_type, quantity,
+            unit_price, estimated_loss, date_found, description, store_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *
+        `, [
+          row.id, row.vendor_id, item.product_name, item.issue_type, item.quantity,
+          item.unit_price, item.estimated_loss, row.report_date, item.description || row.notes, row.store_id
+        ]);
+        await recordAudit(client, req, 'issues', issueResult.rows[0].id, 'create');
+        row.issues.push(issueResult.rows[0]);
+      }
+      return {success: true, report: row};
+    });
+
+    console.log(`✅ Issue report ${body.report.id} ${replayed ? 'already added' : `added with ${body.report.issues.length} item(s)`}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(body);
+  } catch (error) {
+    console.error('❌ Error in POST /api/issue-reports:', error);
+    sendError(res, error, 'add issue report');
+  }
+});
+
+// One issue report with its vendor and items, for the return-to-vendor slip
+app.get('/api/issue-reports/:id', requirePermission('data:read'), requireStoreRecord('issue_reports'), async (req, res) => {
+  try {
+    const reportResult = await query(`
+      SELECT r.*, v.name AS vendor_name, v.contact_person AS vendor_contact_person,
+             v.phone AS vendor_phone, v.gstin AS vendor_gstin,
+             st.name AS store_name, st.address AS store_address, st.phone AS store_phone, st.gstin AS store_gstin
+      FROM issue_reports r
+      JOIN vendors v ON v.id = r.vendor_id
+      JOIN stores st ON st.id = r.store_id
+      WHERE r.id = $1
+    `, [req.params.id]);
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({error: 'Issue report not found'});
+    }
+
+    const issuesResult = await query('SELECT * FROM issues WHERE report_id = $1 ORDER BY id', [req.params.id]);
+    const report = reportResult.rows[0];
+    report.issues = issuesResult.rows;
+    report.totalQuantity = report.issues.reduce((sum, issue) => sum + (issue.quantity || 0), 0);
+    report.totalLoss = Math.round(report.issues.reduce((sum, issue) => sum + parseFloat(issue.estimated_loss || 0), 0) * 100) / 100;
+    res.json({success: true, report});
+  } catch (error) {
+    console.error('❌ Error fetching issue report:', error);
+    sendError(res, error, 'fetch issue report');
+  }
+});
+
+// Update issue details. Status goes through POST /api/issues/:id/status.
+const updateIssue = async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    const update = buildUpdate(req.body, ISSUE_FIELDS);
+    if ('status' in req.body) {
+      addFieldError(update, 'status', 'Change the status with POST /api/issues/:id/status');
+    }
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const issue = await updateRecord(req, 'issues', issueId, update);
+    if (!issue) {
+      return res.status(404).json({error: 'Issue not found'});
+    }
+
+    console.log(`✅ Issue updated successfully. ID: ${issueId}`);
+    res.json({success: true, issue});
+  } catch (error) {
+    console.error('❌ Error updating issue:', error);
+    sendError(res, error, 'update issue');
+  }
+};
+app.put('/api/issues/:id', requirePermission('issues:write'), requireStoreRecord('issues'), updateIssue);
+app.patch('/api/issues/:id', requirePermission('issues:write'), requireStoreRecord('issues'), updateIssue);
+
+// Move an issue along its workflow. Closing it records what the vendor made good:
+// a credit note (linked, and not allocated beyond its amount), replacement stock,
+// or nothing (written off). Reopening clears the resolution.
+app.post('/api/issues/:id/status', requirePermission('issues:write'), requireStoreRecord('issues'), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    const status = normalizeField({label: 'Status', required: true, oneOf: ISSUE_STATUSES}, req.body.status);
+    const statusDate = normalizeField({label: 'Status date', type: 'date', default: localDateString(new Date())}, req.body.date);
+    const creditNoteId = normalizeField({label: 'Credit note', type: 'integer', positive: true}, req.body.creditNoteId);
+    const recoveredAmount = normalizeField({label: 'Recovered amount', type: 'number', min: 0}, req.body.recoveredAmount);
+    const notes = normalizeField({label: 'Notes'}, req.body.notes);
+    const invalid = collectErrors({status, date: statusDate, creditNoteId, recoveredAmount, notes});
+    if (status.value === 'credited' && !creditNoteId.value) {
+      addFieldError(invalid, 'creditNoteId', 'Choose the credit note that settles this issue');
+    }
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const issue = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'issues', issueId, true);
+      if (!before) return null;
+      if (!ISSUE_TRANSITIONS[before.status].includes(status.value)) {
+        throw Object.assign(new Error(`A ${before.status} issue cannot be marked ${status.value}`), {status: 409});
+      }
+
+      const estimatedLoss = parseFloat(before.estimated_loss || 0);
+      let recovered = null;
+      let linkedCreditNote = null;
+      if (status.value === 'credited') {
+        const creditResult = await client.query(`
+          SELECT c.id, c.crn_number, c.credit_amount, i.vendor_id, i.store_id
+          FROM credit_notes c
+          JOIN invoices i ON i.id = c.invoice_id
+          WHERE c.id = $1
+          FOR UPDATE OF c
+        `, [creditNoteId.value]);
+        const creditNote = creditResult.rows[0];
+        if (!creditNote) {
+          throw Object.assign(new Error('Credit note not found'), {status: 400});
+        }
+        if (Number(creditNote.vendor_id) !== Number(before.vendor_id)) {
+          throw Object.assign(new Error(`Credit note ${creditNote.crn_number} is from a different vendor`), {status: 400});
+        }
+        if (String(creditNote.store_id) !== String(before.store_id)) {
+          throw Object.assign(new Error(`Credit note ${creditNote.crn_number} is against an invoice of another store`), {status: 400});
+        }
+        // One credit note can settle several issues, but only up to its amount
+        const allocatedResult = await client.query(
+          'SELECT COALESCE(SUM(recovered_amount), 0) AS allocated FROM issues WHERE credit_note_id = $1 AND id <> $2',
+          [creditNote.id, issueId]
+        );
+        const available = Math.round((parseFloat(creditNote.credit_amount) - parseFloat(allocatedResult.rows[0].allocated)) * 100) / 100;
+        recovered = recoveredAmount.value !== null ? recoveredAmount.value : Math.min(estimatedLoss, available);
+        if (recovered > available) {
+          throw Object.assign(new Error(`Credit note ${creditNote.crn_number} only has ₹${available} left to allocate`), {status: 400});
+        }
+        linkedCreditNote = creditNote.id;
+      } else if (status.value === 'replaced') {
+        recovered = recoveredAmount.value !== null ? recoveredAmount.value : estimatedLoss;
+      } else if (status.value === 'written_off') {
+        recovered = 0;
+      }
+
+      const closed = ISSUE_CLOSED_STATUSES.includes(status.value);
+      const resolutionNotes = notes.value
+        ? [before.resolution_notes, `${status.value.replace('_', ' ')} on ${statusDate.value}: ${notes.value}`].filter(Boolean).join('\n')
+        : before.resolution_notes;
+      const result = await client.query(`
+        UPDATE issues SET
+          status = $1, status_date = $2, resolved_date = $3, credit_note_id = $4,
+          recovered_amount = $5, resolution_notes = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7 RETURNING *
+      `, [status.value, statusDate.value, closed ? statusDate.value : null, linkedCreditNote, recovered, resolutionNotes, issueId]);
+      await recordAudit(client, req, 'issues', issueId, 'update', before);
+      return result.rows[0];
+    });
+
+    if (!issue) {
+      return res.status(404).json({error: 'Issue not found'});
+    }
+
+    console.log(`✅ Issue ${issueId} marked ${issue.status}`);
+    res.json({success: true, issue});
+  } catch (error) {
+    console.error('❌ Error updating issue status:', error);
+    sendError(res, error, 'update issue status');
+  }
+});
+
+// Update vendor
+const updateVendor = async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const update = buildUpdate(req.body, VENDOR_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    // A new last visit or frequency moves the next visit, unless one was given as well
+    const rescheduleVisit = ('lastVisit' in req.body || 'visitFrequency' in req.body) && !req.body.nextVisit;
+    const vendor = await updateRecord(req, 'vendors', vendorId, update, [], rescheduleVisit ? async (client, row) => {
+      const result = await client.query(
+        "SELECT to_char(last_visit, 'YYYY-MM-DD') AS last_visit, visit_frequency FROM vendors WHERE id = $1",
+        [row.id]
+      );
+      const {last_visit: lastVisit, visit_frequency: frequency} = result.rows[0];
+      row.next_visit = lastVisit ? nextVisitDate(lastVisit, frequency) : row.next_visit;
+      await client.query('UPDATE vendors SET next_visit = $1 WHERE id = $2', [row.next_visit, row.id]);
+    } : null);
+    if (!vendor) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+
+    console.log(`✅ Vendor updated successfully. ID: ${vendorId}`);
+    res.json({success: true, vendor});
+  } catch (error) {
+    console.error('❌ Error updating vendor:', error);
+    sendError(res, error, 'update vendor');
+  }
+};
+app.put('/api/vendors/:id', requirePermission('vendors:write'), updateVendor);
+app.patch('/api/vendors/:id', requirePermission('vendors:write'), updateVendor);
+
+// Log a vendor visit to the request's store. The store's next visit follows from its latest
+// logged visit at the vendor's frequency. The vendor's own dates follow the latest visit to any
+// store, and are what stores that have not logged a visit yet go by.
+app.post('/api/vendors/:id/visits', requirePermission('visits:write'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const insert = buildInsert(req.body, VISIT_FIELDS);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    const storeId = writableStore(req);
+
+    const result = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'vendors', vendorId, true);
+      if (!before) return null;
+
+      const columns = ['vendor_id', 'store_id', ...insert.columns];
+      const visitResult = await client.query(
+        `INSERT INTO vendor_visits (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [vendorId, storeId, ...insert.values]
+      );
+      const visit = visitResult.rows[0];
+      await recordAudit(client, req, 'vendor_visits', visit.id, 'create');
+
+      const visitDate = insert.values[insert.columns.indexOf('visit_date')];
+      let vendor = null;
+      if (!before.last_visit || visitDate >= before.last_visit) {
+        const vendorResult = await client.query(`
+          UPDATE vendors SET last_visit = $1, next_visit = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3 RETURNING *
+        `, [visitDate, nextVisitDate(visitDate, before.visit_frequency), vendorId]);
+        vendor = vendorResult.rows[0];
+        await recordAudit(client, req, 'vendors', vendorId, 'update', before);
+      }
+
+      const latest = await client.query(
+        "SELECT to_char(MAX(visit_date), 'YYYY-MM-DD') AS last_visit FROM vendor_visits WHERE vendor_id = $1 AND store_id = $2",
+        [vendorId, storeId]
+      );
+      const lastVisit = latest.rows[0].last_visit;
+      return {visit, vendor, lastVisit, nextVisit: nextVisitDate(lastVisit, before.visit_frequency)};
+    });
+
+    if (!result) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+    console.log(`✅ Visit logged for vendor ${vendorId}`);
+    res.json({success: true, ...result});
+  } catch (error) {
+    console.error('❌ Error logging vendor visit:', error);
+    sendError(res, error, 'log visit');
+  }
+});
+
+// Visit history for one vendor at the request's store, latest first
+app.get('/api/vendors/:id/visits', requirePermission('data:read'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT vv.id, vv.vendor_id, vv.store_id, st.name AS store_name, vv.visitor_name, vv.order_placed,
+             vv.order_amount, vv.notes, to_char(vv.visit_date, 'YYYY-MM-DD') AS visit_date
+      FROM vendor_visits vv
+      JOIN stores st ON st.id = vv.store_id
+      WHERE vv.vendor_id = $1 AND ${storeScope(req, 'vv.store_id')}
+      ORDER BY vv.visit_date DESC, vv.id DESC
+    `, [req.params.id]);
+    res.json({success: true, visits: result.rows});
+  } catch (error) {
+    console.error('❌ Error fetching vendor visits:', error);
+    sendError(res, error, 'fetch visits');
+  }
+});
+
+// Active vendors with the date each is next due to visit (null storeId: any store), or
+// due null when there is nothing to go by. Each store goes by its own last visit; until
+// a vendor has visited it, by the vendor's.
+async function fetchVisitDueDates(storeId) {
+  const result = await query(`
+    SELECT v.id, v.name, v.contact_person, v.phone, v.visit_frequency,
+           to_char(COALESCE(sv.last_visit, v.last_visit), 'YYYY-MM-DD') AS last_visit,
+           to_char(CASE WHEN sv.last_visit IS NULL THEN v.next_visit END, 'YYYY-MM-DD') AS next_visit
+    FROM vendors v
+    LEFT JOIN (
+      SELECT vendor_id, MAX(visit_date) AS last_visit FROM vendor_visits
+      WHERE $1::bigint IS NULL OR store_id = $1 GROUP BY vendor_id
+    ) sv ON sv.vendor_id = v.id
+    WHERE v.status = 'active'
+    ORDER BY v.name
+  `, [storeId]);
+  return result.rows.map(vendor => ({
+    ...vendor,
+    due: vendor.next_visit || (vendor.last_visit ? nextVisitDate(vendor.last_visit, vendor.visit_frequency) : null)
+  }));
+}
+
+// Expected vendor visits between two dates (default: today and the next 6 days).
+// A vendor whose next visit has passed without a visit being logged is listed once
+// as missed; everyone else repeats at their visit frequency through the range.
+app.get('/api/visits/schedule', requirePermission('data:read'), async (req, res) => {
+  try {
+    const today = localDateString(new Date());
+    const weekEnd = new Date(Date.parse(today) + 6 * 86400000).toISOString().split('T')[0];
+    const from = normalizeField({label: 'From date', type: 'date', default: today}, req.query.from);
+    const to = normalizeField({label: 'To date', type: 'date', default: weekEnd}, req.query.to);
+    const invalid = collectErrors({from, to});
+    if (invalid.errors.length === 0 && to.value < from.value) {
+      addFieldError(invalid, 'to', 'To date must be on or after the from date');
+    }
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const vendors = await fetchVisitDueDates(req.store ? req.store.id : null);
+
+    const visits = [];
+    let unscheduled = 0;
+    vendors.forEach(vendor => {
+      const due = vendor.due;
+      if (!due) {
+        unscheduled++;
+        return;
+      }
+      const entry = date => ({
+        vendorId: vendor.id,
+        vendorName: vendor.name,
+        contactPerson: vendor.contact_person || '',
+        phone: vendor.phone || '',
+        visitFrequency: vendor.visit_frequency,
+        lastVisit: vendor.last_visit,
+        date,
+        missed: date < today,
+        daysOverdue: date < today ? daysBetween(date, today) : 0
+      });
+
+      if (due < today) {
+        visits.push(entry(due));
+        return;
+      }
+      for (let date = due; date <= to.value; date = nextVisitDate(date, vendor.visit_frequency)) {
+        if (date >= from.value) visits.push(entry(date));
+      }
+    });
+    visits.sort((a, b) => a.date.localeCompare(b.date) || a.vendorName.localeCompare(b.vendorName));
+
+    res.json({success: true, today, from: from.value, to: to.value, visits, unscheduled});
+  } catch (error) {
+    console.error('❌ Error building visit schedule:', error);
+    sendError(res, error, 'build visit schedule');
+  }
+});
+
+// Update brand
+const updateBrand = async (req, res) => {
+  try {
+    const brandId = req.params.id;
+    const update = buildUpdate(req.body, BRAND_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const brand = await updateRecord(req, 'brands', brandId, update);
+    if (!brand) {
+      return res.status(404).json({error: 'Brand not found'});
+    }
+
+    console.log(`✅ Brand updated successfully. ID: ${brandId}`);
+    res.json({success: true, brand});
+  } catch (error) {
+    console.error('❌ Error updating brand:', error);
+    sendError(res, error, 'update brand');
+  }
+};
+app.put('/api/brands/:id', requirePermission('brands:write'), updateBrand);
+app.patch('/api/brands/:id', requirePermission('brands:write'), updateBrand);
+
+// Update invoice header
+const updateInvoice = async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    const update = buildUpdate(req.body, INVOICE_FIELDS);
+    const items = req.body.items === undefined ? null : buildInvoiceItems(req.body.items);
+    // Its payments, credit notes and line items stay with the vendor it was recorded for
+    if ('vendorId' in req.body) {
+      addFieldError(update, 'vendorId', 'The vendor of an invoice cannot be changed');
+    }
+    const invalid = mergeErrors(update, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    if (update.sets.length === 0 && !items) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    update.values.push(localDateString(new Date()));
+    const extraSets = [`last_updated = $${update.values.length}`];
+    // New line items set the amount and item count unless they were sent too
+    if (items && items.rows.length > 0) {
+      if (!('invoiceAmount' in req.body)) {
+        update.values.push(items.total);
+        update.sets.push(`invoice_amount = $${update.values.length}`);
+      }
+      if (!('totalItems' in req.body)) {
+        update.values.push(Math.round(items.totalQuantity));
+        update.sets.push(`total_items = $${update.values.length}`);
+      }
+    }
+
+    const invoice = await updateRecord(req, 'invoices', invoiceId, update, extraSets, async (client, row, before) => {
+      if (items) await saveInvoiceItems(client, row.id, row.vendor_id, items.rows);
+      await checkInvoiceTotal(client, row.id);
+      await checkInvoicePurchaseOrder(client, row);
+      checkTaxBreakdown(row, row.invoice_amount);
+      await checkInvoiceBalance(client, row.id, parseFloat(before.invoice_amount) - parseFloat(row.invoice_amount), req.body, 'allowOverpayment');
+    });
+    if (!invoice) {
+      return res.status(404).json({error: 'Invoice not found'});
+    }
+
+    const match = invoice.po_id ? (await fetchPurchaseOrders({query}, {poId: invoice.po_id}))[0].match : undefined;
+    console.log(`✅ Invoice updated successfully. ID: ${invoiceId}`);
+    res.json({success: true, invoice, match});
+  } catch (error) {
+    console.error('❌ Error updating invoice:', error);
+    sendError(res, error, 'update invoice');
+  }
+};
+app.put('/api/invoices/:id', requirePermission('invoices:write'), requireStoreRecord('invoices'), updateInvoice);
+app.patch('/api/invoices/:id', requirePermission('invoices:write'), requireStoreRecord('invoices'), updateInvoice);
+
+// ===== Trash: archived vendors and brands =====
+
+// Records that make up a vendor's, brand's or invoice's financial history. Deleting it
+// would cascade to them, so deletion is refused while any exist.
+const FINANCIAL_HISTORY = {
+  vendors: [
+    ['invoices', 'vendor_id', 'invoice'],
+    ['purchase_orders', 'vendor_id', 'purchase order'],
+    ['rent_charges', 'vendor_id', 'rent charge'],
+    ['rent_receipts', 'vendor_id', 'rent receipt'],
+    ['issues', 'vendor_id', 'issue']
+  ],
+  brands: [
+    ['invoice_items', 'brand_id', 'invoice line'],
+    ['purchase_order_items', 'brand_id', 'purchase order line']
+  ],
+  // Rent set off against the invoice is one of its payments
+  invoices: [
+    ['invoice_payments', 'invoice_id', 'payment'],
+    ['credit_notes', 'invoice_id', 'credit note']
+  ]
+};
+
+// Descriptions like "3 invoices" of what still refers to the record; empty when nothing does
+async function financialHistory(db, table, id) {
+  const counts = FINANCIAL_HISTORY[table];
+  const result = await db.query(
+    `SELECT ${counts.map(([from, column], i) => `(SELECT COUNT(*) FROM ${from} WHERE ${column} = $1) AS c${i}`).join(', ')}`,
+    [id]
+  );
+  return counts
+    .map(([, , noun], i) => [parseInt(result.rows[0][`c${i}`], 10), noun])
+    .filter(([count]) => count > 0)
+    .map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+}
+
+// Move a vendor or brand to the trash (archived) or back out of it, with its audit entry.
+// Returns the row, or null if not found; a row already in that state is returned unchanged.
+async function setArchived(req, table, id, archived, beforeChange = null) {
+  return withTransaction(async (client) => {
+    const before = await auditSnapshot(client, table, id, true);
+    if (!before) return null;
+    if ((before.status === 'archived') === archived) {
+      return (await client.query(`SELECT * FROM ${table} WHERE id = $1`, [id])).rows[0];
+    }
+    if (beforeChange) await beforeChange(client, before);
+
+    const result = await client.query(`
+      UPDATE ${table} SET
+        status = $1,
+        archived_at = ${archived ? 'CURRENT_TIMESTAMP' : 'NULL'},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [archived ? 'archived' : 'active', id]);
+    await recordAudit(client, req, table, id, archived ? 'archive' : 'unarchive', before);
+    return result.rows[0];
+  });
+}
+
+// Delete an archived vendor or brand for good. Refused with 409 while it is still in
+// use or has financial history. Returns false if not found.
+async function deletePermanently(req, table, id, label) {
+  return withTransaction(async (client) => {
+    const before = await auditSnapshot(client, table, id, true);
+    if (!before) return false;
+    if (before.status !== 'archived') {
+      throw Object.assign(new Error(`Archive the ${label} before deleting it permanently`), {status: 409, details: [
+        `Archive the ${label} before deleting it permanently`
+      ]});
+    }
+    const history = await financialHistory(client, table, id);
+    if (history.length > 0) {
+      throw Object.assign(new Error(`The ${label} has financial history`), {status: 409, details: [
+        `The ${label} has financial history (${history.join(', ')}), so it can only stay archived`
+      ]});
+    }
+
+    await client.query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+    await recordAudit(client, req, table, id, 'delete', before);
+    return true;
+  });
+}
+
+// Archive vendor. Its brands, invoices and history stay; it leaves the lists and dropdowns.
+app.delete('/api/vendors/:id', requirePermission('vendors:delete'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const vendor = await setArchived(req, 'vendors', vendorId, true);
+    if (!vendor) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+
+    console.log(`✅ Vendor archived successfully. ID: ${vendorId}`);
+    res.json({success: true, vendor});
+  } catch (error) {
+    console.error('❌ Error archiving vendor:', error);
+    sendError(res, error, 'archive vendor');
+  }
+});
+
+app.post('/api/vendors/:id/restore', requirePermission('vendors:delete'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const vendor = await setArchived(req, 'vendors', vendorId, false);
+    if (!vendor) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+
+    console.log(`✅ Vendor restored successfully. ID: ${vendorId}`);
+    res.json({success: true, vendor});
+  } catch (error) {
+    console.error('❌ Error restoring vendor:', error);
+    sendError(res, error, 'restore vendor');
+  }
+});
+
+// Delete an archived vendor for good, together with its brands, visits and contracts
+app.delete('/api/vendors/:id/permanent', requirePermission('vendors:delete'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    if (!(await deletePermanently(req, 'vendors', vendorId, 'vendor'))) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+
+    console.log(`✅ Vendor deleted permanently. ID: ${vendorId}`);
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error deleting vendor:', error);
+    sendError(res, error, 'delete vendor');
+  }
+});
+
+// Archive brand
+app.delete('/api/brands/:id', requirePermission('brands:delete'), async (req, res) => {
+  try {
+    const brandId = req.params.id;
+    const brand = await setArchived(req, 'brands', brandId, true);
+    if (!brand) {
+      return res.status(404).json({error: 'Brand not found'});
+    }
+
+    console.log(`✅ Brand archived successfully. ID: ${brandId}`);
+    res.json({success: true, brand});
+  } catch (error) {
+    console.error('❌ Error archiving brand:', error);
+    sendError(res, error, 'archive brand');
+  }
+});
+
+// A brand comes back only under a vendor that is not itself in the trash
+app.post('/api/brands/:id/restore', requirePermission('brands:delete'), async (req, res) => {
+  try {
+    const brandId = req.params.id;
+    const brand = await setArchived(req, 'brands', brandId, false, async (client, before) => {
+      const vendor = await client.query('SELECT name, status FROM vendors WHERE id = $1', [before.vendor_id]);
+      if (vendor.rows.length > 0 && vendor.rows[0].status === 'archived') {
+        const message = `Restore the vendor ${vendor.rows[0].name} first`;
+        throw Object.assign(new Error(message), {status: 409, details: [message]});
+      }
+    });
+    if (!brand) {
+      return res.status(404).json({error: 'Brand not found'});
+    }
+
+    console.log(`✅ Brand restored successfully. ID: ${brandId}`);
+    res.json({success: true, brand});
+  } catch (error) {
+    console.error('❌ Error restoring brand:', error);
+    sendError(res, error, 'restore brand');
+  }
+});
+
+app.delete('/api/brands/:id/permanent', requirePermission('brands:delete'), async (req, res) => {
+  try {
+    const brandId = req.params.id;
+    if (!(await deletePermanently(req, 'brands', brandId, 'brand'))) {
+      return res.status(404).json({error: 'Brand not found'});
+    }
+
+    console.log(`✅ Brand deleted permanently. ID: ${brandId}`);
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error deleting brand:', error);
+    sendError(res, error, 'delete brand');
+  }
+});
+
+// Delete an invoice and its line items. Refused with 409 once payments (rent set-offs
+// included) or credit notes are recorded against it, which would go with it unaudited.
+app.delete('/api/invoices/:id', requirePermission('invoices:delete'), requireStoreRecord('invoices'), async (req, res) => {
+  try {
+    const invoiceId = req.params.id;
+    const deleted = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'invoices', invoiceId, true);
+      if (!before) return false;
+      const history = await financialHistory(client, 'invoices', invoiceId);
+      if (history.length > 0) {
+        const message = `Invoice ${before.invoice_number} has ${history.join(' and ')} recorded against it, so it can't be deleted`;
+        throw Object.assign(new Error(message), {status: 409, details: [message]});
+      }
+      await client.query('DELETE FROM invoices WHERE id = $1', [invoiceId]);
+      await recordAudit(client, req, 'invoices', invoiceId, 'delete', before);
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({error: 'Invoice not found'});
+    }
+
+    console.log(`✅ Invoice deleted successfully. ID: ${invoiceId}`);
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error deleting invoice:', error);
+    sendError(res, error, 'delete invoice');
+  }
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    const {applied, pending} = await migrationStatus(pool);
+    if (pending.length > 0) {
+      return res.status(503).json({
+        status: 'unhealthy',
+        error: `${pending.length} migration(s) pending`,
+        pendingMigrations: pending.map(migration => migration.file)
+      });
+    }
+    const result = await query(`
+      SELECT current_database() AS database,
+             (SELECT COUNT(*) FROM vendors) AS vendors,
+             (SELECT COUNT(*) FROM stores WHERE active = TRUE) AS stores
+    `);
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      database: `PostgreSQL (${result.rows[0].database})`,
+      schemaVersion: applied.length > 0 ? applied[applied.length - 1].version : null,
+      vendors: result.rows[0].vendors,
+      stores: result.rows[0].stores
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'unhealthy',
+      error: error.message
+    });
+  }
+});
+
+// API info endpoint
+app.get('/api/info', async (req, res) => {
+  let storage = 'PostgreSQL';
+  try {
+    const result = await query('SELECT current_database() AS database');
+    storage = `PostgreSQL (${result.rows[0].database} database)`;
+  } catch (error) {
+    console.error('❌ Error reading database name:', error.message);
+  }
+  res.json({
+    message: 'GDEES Vendor Management API with PostgreSQL',
+    version: '3.0',
+    storage,
+    endpoints: {
+      auth: '/api/auth/login',
+      users: '/api/users',
+      stores: '/api/stores',
+      notifications: '/api/notifications',
+      data: '/api/data',
+      vendors: '/api/vendors',
+      vendorLedger: '/api/vendors/:id/ledger',
+      brands: '/api/brands',
+      issues: '/api/issues',
+      invoices: '/api/invoices',
+      payments: '/api/payments',
+      cheques: '/api/cheques',
+      creditNotes: '/api/credit-notes',
+      audit: '/api/audit',
+      aging: '/api/reports/aging',
+      purchases: '/api/reports/purchases',
+      inputTaxCredit: '/api/reports/itc',
+      issueRecovery: '/api/reports/issue-recovery',
+      import: '/api/import',
+      backup: '/api/backup',
+      restore: '/api/restore',
+      health: '/health'
+    }
+  });
+});
+
+// Check the database on startup
+console.log('🚀 Starting GDEES Vendor Management Server...');
+
+// Start server
+app.listen(PORT, async () => {
+  console.log(`\n🚀 Server running on port ${PORT}`);
+  console.log(`📁 Using PostgreSQL database: ${dbConfig.database || 'from connection string'}`);
+  console.log(`🌐 Access at: http://localhost:${PORT}`);
+
+  // Test connection first
+  const connectionOk = await testConnection();
+  if (!connectionOk) {
+    console.error('❌ Database connection failed. Server started but database is not accessible.');
+    console.error('🔧 Fix the connection issue and restart the server.');
+    return;
+  }
+
+  try {
+    const behind = await checkSchema();
+    if (behind) {
+      console.error('❌ ' + behind);
+      process.exit(1);
+    }
+    console.log('✅ Database schema is up to date');
+    startNotificationScheduler();
+  } catch (error) {
+    console.error('❌ Database schema check failed:', error.message);
+  }
+});
+
+// ===== Invoice lists =====
+
+const INVOICE_PAYMENT_STATUSES = ['pending', 'partial', 'overdue', 'paid'];
+
+// Every invoice with its vendor, PO number and balance worked out in SQL so lists can
+// filter and sort on them. Only cleared funds reduce the balance; uncleared cheques are
+// reported separately. Anything unpaid past its due date is overdue, even if partly paid.
+// $1 must be today's date.
+const INVOICE_BALANCES_SQL = `
+  SELECT b.*,
+         CASE WHEN b.outstanding <= 0 THEN 'paid'
+              WHEN b.effective_due_date < $1::date THEN 'overdue'
+              WHEN b.paid_amount > 0 THEN 'partial'
+              ELSE 'pending' END AS payment_status
+  FROM (
+    SELECT i.*, v.name AS vendor_name, v.phone AS vendor_phone, v.contact_person AS vendor_contact_person,
+           v.credit_days, v.gstin AS vendor_gstin, po.po_number, st.name AS store_name,
+           to_char(i.invoice_date, 'YYYY-MM-DD') AS invoice_date_text,
+           to_char(i.due_date, 'YYYY-MM-DD') AS due_date_text,
+           COALESCE(i.due_date, i.invoice_date + COALESCE(v.credit_days, 0)) AS effective_due_date,
+           COALESCE(p.paid_amount, 0) AS paid_amount,
+           COALESCE(p.pending_cheques, 0) AS pending_cheques,
+           COALESCE(c.credited_amount, 0) AS credited_amount,
+           i.invoice_amount - COALESCE(p.paid_amount, 0) - COALESCE(c.credited_amount, 0) AS outstanding
+    FROM invoices i
+    LEFT JOIN vendors v ON v.id = i.vendor_id
+    LEFT JOIN purchase_orders po ON po.id = i.po_id
+    LEFT JOIN stores st ON st.id = i.store_id
+    LEFT JOIN (
+      SELECT invoice_id,
+             SUM(CASE WHEN ${CLEARED_FUNDS_SQL} THEN payment_amount ELSE 0 END) AS paid_amount,
+             SUM(CASE WHEN cheque_status IN ('issued', 'presented') THEN payment_amount ELSE 0 END) AS pending_cheques
+      FROM invoice_payments GROUP BY invoice_id
+    ) p ON p.invoice_id = i.id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(credit_amount) AS credited_amount FROM credit_notes GROUP BY invoice_id
+    ) c ON c.invoice_id = i.id
+  ) b
+`;
+
+const INVOICE_LIST = {
+  search: ['inv.invoice_number', 'inv.vendor_name', 'inv.po_number'],
+  filters: {
+    // Set from the request's store by listQuery
+    storeId: {column: 'inv.store_id', label: 'Store', type: 'integer', positive: true},
+    vendorId: {column: 'inv.vendor_id', label: 'Vendor', type: 'integer', positive: true},
+    status: {column: 'inv.payment_status', label: 'Payment status', oneOf: INVOICE_PAYMENT_STATUSES},
+    unpaid: {type: 'boolean', label: 'Unpaid', whenTrue: 'inv.outstanding > 0', whenFalse: 'inv.outstanding <= 0'},
+    from: {column: 'inv.invoice_date', operator: '>=', label: 'From date', type: 'date'},
+    to: {column: 'inv.invoice_date', operator: '<=', label: 'To date', type: 'date'}
+  },
+  sorts: {
+    invoiceDate: 'inv.invoice_date',
+    dueDate: 'inv.effective_due_date',
+    invoiceNumber: 'inv.invoice_number',
+    vendorName: 'inv.vendor_name',
+    amount: 'inv.invoice_amount',
+    outstanding: 'inv.outstanding'
+  },
+  defaultSort: '-invoiceDate',
+  tieBreak: 'inv.id DESC'
+};
+
+// Shape invoice balance rows for the client, with their payments, credit notes and line
+// items loaded for just those rows
+async function withInvoiceDetails(db, rows) {
+  if (rows.length === 0) return [];
+  const ids = rows.map(row => row.id);
+  const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+
+  const [paymentsResult, itemsResult, creditsResult] = await Promise.all([
+    db.query(`SELECT * FROM invoice_payments WHERE invoice_id IN (${placeholders}) ORDER BY payment_date, id`, ids),
+    db.query(`
+      SELECT it.*, b.name AS brand_name, b.category AS brand_category
+      FROM invoice_items it
+      LEFT JOIN brands b ON b.id = it.brand_id
+      WHERE it.invoice_id IN (${placeholders})
+      ORDER BY it.invoice_id, it.sort_order, it.id
+    `, ids),
+    db.query(`SELECT * FROM credit_notes WHERE invoice_id IN (${placeholders}) ORDER BY credit_date, id`, ids)
+  ]);
+
+  const group = (list, map) => list.reduce((groups, row) => {
+    (groups[row.invoice_id] = groups[row.invoice_id] || []).push(map(row));
+    return groups;
+  }, {});
+  const paymentsByInvoice = group(paymentsResult.rows, p => ({
+    id: p.id,
+    paymentDate: p.payment_date,
+    paymentAmount: parseFloat(p.payment_amount || 0),
+    paymentMethod: p.payment_method || '',
+    chequeNumber: p.cheque_number || '',
+    chequeDate: p.cheque_date || '',
+    chequeStatus: p.cheque_status || '',
+    chequeStatusDate: p.cheque_status_date || '',
+    cleared: isClearedPayment(p),
+    notes: p.payment_notes || '',
+    updatedAt: p.updated_at
+  }));
+  const itemsByInvoice = group(itemsResult.rows, item => ({
+    id: item.id,
+    brandId: item.brand_id,
+    brandName: item.brand_name || '',
+    category: item.brand_category || '',
+    description: item.description || '',
+    sku: item.sku || '',
+    quantity: parseFloat(item.quantity),
+    unitCost: parseFloat(item.unit_cost),
+    taxRate: parseFloat(item.tax_rate || 0),
+    discount: parseFloat(item.discount || 0),
+    lineTotal: parseFloat(item.line_total)
+  }));
+  const creditsByInvoice = group(creditsResult.rows, c => ({
+    id: c.id,
+    crnNumber: c.crn_number,
+    creditDate: c.credit_date,
+    creditAmount: parseFloat(c.credit_amount || 0),
+    itemsReturned: c.items_returned || 0,
+    returnReason: c.return_reason || '',
+    description: c.description || '',
+    taxableValue: c.taxable_value === null ? null : parseFloat(c.taxable_value),
+    cgstAmount: parseFloat(c.cgst_amount || 0),
+    sgstAmount: parseFloat(c.sgst_amount || 0),
+    igstAmount: parseFloat(c.igst_amount || 0)
+  }));
+
+  return rows.map(invoice => ({
+    id: invoice.id,
+    vendorId: invoice.vendor_id,
+    storeId: invoice.store_id,
+    storeName: invoice.store_name,
+    invoiceNumber: invoice.invoice_number,
+    invoiceDate: invoice.invoice_date,
+    invoiceAmount: parseFloat(invoice.invoice_amount || 0),
+    totalItems: invoice.total_items || 0,
+    dueDate: invoice.due_date,
+    effectiveDueDate: invoiceDueDate(invoice.invoice_date_text, invoice.due_date_text, invoice.credit_days),
+    taxableValue: invoice.taxable_value === null ? null : parseFloat(invoice.taxable_value),
+    cgstAmount: parseFloat(invoice.cgst_amount || 0),
+    sgstAmount: parseFloat(invoice.sgst_amount || 0),
+    igstAmount: parseFloat(invoice.igst_amount || 0),
+    poId: invoice.po_id,
+    poNumber: invoice.po_number || '',
+    paymentStatus: invoice.payment_status,
+    paymentAmount: parseFloat(invoice.paid_amount),
+    pendingCheques: parseFloat(invoice.pending_cheques),
+    totalCredits: parseFloat(invoice.credited_amount),
+    outstanding: parseFloat(invoice.outstanding),
+    items: itemsByInvoice[invoice.id] || [],
+    payments: paymentsByInvoice[invoice.id] || [],
+    creditNotes: creditsByInvoice[invoice.id] || [],
+    vendor_name: invoice.vendor_name,
+    vendor_gstin: invoice.vendor_gstin,
+    vendor_phone: invoice.vendor_phone,
+    vendor_contact_person: invoice.vendor_contact_person,
+    updatedAt: invoice.updated_at
+  }));
+}
+
+// One page of invoices with their payments and credit notes, plus totals over
+// everything the filters match for the summary cards
+app.get('/api/invoices', requirePermission('data:read'), async (req, res) => {
+  try {
+    const today = localDateString(new Date());
+    const list = parseListQuery(listQuery(req), INVOICE_LIST, [today]);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const month = monthRange(today.slice(0, 7));
+    const [rows, totals, paidThisMonth] = await Promise.all([
+      query(`SELECT * FROM (${INVOICE_BALANCES_SQL}) inv ${list.where} ${list.orderBy} ${list.paging}`, list.values),
+      query(`
+        SELECT COUNT(*) AS total,
+               COALESCE(SUM(inv.invoice_amount), 0) AS invoice_amount,
+               COALESCE(SUM(CASE WHEN inv.outstanding > 0 THEN inv.outstanding ELSE 0 END), 0) AS outstanding,
+               COALESCE(SUM(inv.credited_amount), 0) AS credited,
+               SUM(CASE WHEN inv.payment_status = 'pending' THEN 1 ELSE 0 END) AS pending,
+               SUM(CASE WHEN inv.payment_status = 'partial' THEN 1 ELSE 0 END) AS partial,
+               SUM(CASE WHEN inv.payment_status = 'overdue' THEN 1 ELSE 0 END) AS overdue,
+               SUM(CASE WHEN inv.payment_status = 'paid' THEN 1 ELSE 0 END) AS paid
+        FROM (${INVOICE_BALANCES_SQL}) inv ${list.where}
+      `, list.values),
+      // Cleared payments dated this month against the matching invoices
+      query(`
+        SELECT COALESCE(SUM(payment_amount), 0) AS paid
+        FROM invoice_payments
+        WHERE ${CLEARED_FUNDS_SQL}
+          AND payment_date BETWEEN $${list.values.length + 1} AND $${list.values.length + 2}
+          AND invoice_id IN (SELECT inv.id FROM (${INVOICE_BALANCES_SQL}) inv ${list.where})
+      `, [...list.values, month.from, month.to])
+    ]);
+
+    const summary = totals.rows[0];
+    const total = parseInt(summary.total, 10);
+    res.json({
+      success: true,
+      invoices: await withInvoiceDetails({query}, rows.rows),
+      summary: {
+        total,
+        invoiceAmount: parseFloat(summary.invoice_amount),
+        outstanding: parseFloat(summary.outstanding),
+        credited: parseFloat(summary.credited),
+        ...Object.fromEntries(INVOICE_PAYMENT_STATUSES.map(status => [status, parseInt(summary[status] || 0, 10)])),
+        paidThisMonth: parseFloat(paidThisMonth.rows[0].paid)
+      },
+      ...pageInfo(list, total)
+    });
+  } catch (error) {
+    console.error('❌ Error listing invoices:', error);
+    sendError(res, error, 'list invoices');
+  }
+});
+
+// Every invoice with payments and credits aggregated, for exports. Takes the same
+// filters and sort as /api/invoices but is not paginated.
+app.get('/api/invoices-complete', requirePermission('data:read'), async (req, res) => {
+  try {
+    console.log('📖 Fetching complete invoice data from invoices, invoice_payments, and credit_notes tables...');
+
+    const list = parseListQuery(listQuery(req), INVOICE_LIST, [localDateString(new Date())]);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const result = await query(`SELECT * FROM (${INVOICE_BALANCES_SQL}) inv ${list.where} ${list.orderBy}`, list.values);
+    const invoices = [];
+    // Detail queries bind one parameter per invoice, so load them a page at a time
+    for (let start = 0; start < result.rows.length; start += LIST_MAX_PAGE_SIZE) {
+      invoices.push(...await withInvoiceDetails({query}, result.rows.slice(start, start + LIST_MAX_PAGE_SIZE)));
+    }
+
+    console.log(`✅ Complete invoice data prepared. Records: ${invoices.length}`);
+    res.json({success: true, invoices});
+
+  } catch (error) {
+    console.error('❌ Error fetching complete invoice data:', error);
+    sendError(res, error, 'fetch invoice data');
+  }
+});
+
+// ===== Input tax credit (GSTR-2 style purchase register) =====
+
+// One month's purchase invoices and credit notes with their GST, for reconciling against
+// the supplier-filed data on the GST portal. Credit notes reduce the credit available.
+app.get('/api/reports/itc', requirePermission('data:read'), async (req, res) => {
+  try {
+    const month = req.query.month || localDateString(new Date()).slice(0, 7);
+    if (!monthRange(month)) {
+      return sendValidationErrors(res, {errors: ['Month must be in YYYY-MM format'], fields: {month: 'Month must be in YYYY-MM format'}});
+    }
+    const {from, to} = monthRange(month);
+
+    const [invoicesResult, creditsResult] = await Promise.all([
+      query(`
+        SELECT i.id, i.invoice_number AS document_number, to_char(i.invoice_date, 'YYYY-MM-DD') AS document_date,
+               i.invoice_amount AS document_value, i.taxable_value, i.cgst_amount, i.sgst_amount, i.igst_amount,
+               i.invoice_number, v.id AS vendor_id, v.name AS vendor_name, v.gstin
+        FROM invoices i
+        JOIN vendors v ON v.id = i.vendor_id
+        WHERE i.invoice_date BETWEEN $1 AND $2 AND ${storeScope(req, 'i.store_id')}
+        ORDER BY v.name, i.invoice_date, i.id
+      `, [from, to]),
+      query(`
+        SELECT c.id, c.crn_number AS document_number, to_char(c.credit_date, 'YYYY-MM-DD') AS document_date,
+               c.credit_amount AS document_value, c.taxable_value, c.cgst_amount, c.sgst_amount, c.igst_amount,
+               i.invoice_number, v.id AS vendor_id, v.name AS vendor_name, v.gstin
+        FROM credit_notes c
+        JOIN invoices i ON i.id = c.invoice_id
+        JOIN vendors v ON v.id = i.vendor_id
+        WHERE c.credit_date BETWEEN $1 AND $2 AND ${storeScope(req, 'i.store_id')}
+        ORDER BY v.name, c.credit_date, c.id
+      `, [from, to])
+    ]);
+
+    const toDocument = (documentType) => row => {
+      const taxableValue = row.taxable_value === null ? null : parseFloat(row.taxable_value);
+      const cgst = parseFloat(row.cgst_amount || 0);
+      const sgst = parseFloat(row.sgst_amount || 0);
+      const igst = parseFloat(row.igst_amount || 0);
+      let problem = null;
+      if (!row.gstin) problem = 'Vendor has no GSTIN';
+      else if (taxableValue === null) problem = 'GST breakdown not entered';
+      return {
+        documentType,
+        id: row.id,
+        documentNumber: row.document_number,
+        documentDate: row.document_date,
+        invoiceNumber: row.invoice_number,
+        vendorId: row.vendor_id,
+        vendorName: row.vendor_name,
+        gstin: row.gstin || '',
+        documentValue: parseFloat(row.document_value || 0),
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        totalTax: Math.round((cgst + sgst + igst) * 100) / 100,
+        claimable: !problem,
+        problem
+      };
+    };
+    const documents = [
+      ...invoicesResult.rows.map(toDocument('invoice')),
+      ...creditsResult.rows.map(toDocument('credit_note'))
+    ];
+
+    // Net credit per supplier GSTIN: invoices add, credit notes take away
+    const emptyTotals = () => ({taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0});
+    const addTo = (totals, document) => {
+      const sign = document.documentType === 'credit_note' ? -1 : 1;
+      ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'].forEach(key => {
+        totals[key] = Math.round((totals[key] + sign * (document[key] || 0)) * 100) / 100;
+      });
+    };
+    const suppliers = new Map();
+    const totals = emptyTotals();
+    documents.filter(document => document.claimable).forEach(document => {
+      if (!suppliers.has(document.gstin)) {
+        suppliers.set(document.gstin, {gstin: document.gstin, vendorName: document.vendorName, invoices: 0, creditNotes: 0, ...emptyTotals()});
+      }
+      const supplier = suppliers.get(document.gstin);
+      if (document.documentType === 'invoice') supplier.invoices += 1;
+      else supplier.creditNotes += 1;
+      addTo(supplier, document);
+      addTo(totals, document);
+    });
+
+    res.json({
+      success: true,
+      month,
+      from,
+      to,
+      totals,
+      suppliers: [...suppliers.values()].sort((a, b) => a.vendorName.localeCompare(b.vendorName)),
+      documents,
+      unclaimed: documents.filter(document => !document.claimable).length
+    });
+  } catch (error) {
+    console.error('❌ Error building input tax credit report:', error);
+    sendError(res, error, 'build input tax credit report');
+  }
+});
+
+// ===== Purchases by brand / category =====
+
+// Purchase volume and average cost from invoice line items, grouped by brand or category
+app.get('/api/reports/purchases', requirePermission('data:read'), async (req, res) => {
+  try {
+    const groupBy = normalizeField({label: 'Group by', oneOf: ['brand', 'category'], default: 'brand'}, req.query.groupBy);
+    const from = normalizeField({label: 'From date', type: 'date'}, req.query.from);
+    const to = normalizeField({label: 'To date', type: 'date'}, req.query.to);
+    const vendorId = normalizeField({label: 'Vendor', type: 'integer', positive: true}, req.query.vendorId);
+    const invalid = collectErrors({groupBy, from, to, vendorId});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const conditions = [storeScope(req, 'i.store_id')];
+    const values = [];
+    if (from.value) {
+      values.push(from.value);
+      conditions.push(`i.invoice_date >= $${values.length}`);
+    }
+    if (to.value) {
+      values.push(to.value);
+      conditions.push(`i.invoice_date <= $${values.length}`);
+    }
+    if (vendorId.value) {
+      values.push(vendorId.value);
+      conditions.push(`i.vendor_id = $${values.length}`);
+    }
+
+    // Lines without a brand are grouped by their description
+    const groupColumns = groupBy.value === 'brand'
+      ? `it.brand_id, COALESCE(b.name, it.description) AS name, b.sku, COALESCE(b.category, 'uncategorised') AS category, v.name AS vendor_name`
+      : `COALESCE(b.category, 'uncategorised') AS category`;
+    const groupKeys = groupBy.value === 'brand'
+      ? `it.brand_id, COALESCE(b.name, it.description), b.sku, COALESCE(b.category, 'uncategorised'), v.name`
+      : `COALESCE(b.category, 'uncategorised')`;
+
+    const result = await query(`
+      SELECT ${groupColumns},
+             COUNT(DISTINCT i.id) AS invoices,
+             SUM(it.quantity) AS quantity,
+             SUM(it.quantity * it.unit_cost - it.discount) AS net_cost,
+             SUM(it.line_total) AS total_cost,
+             MIN(it.unit_cost) AS min_unit_cost,
+             MAX(it.unit_cost) AS max_unit_cost
+      FROM invoice_items it
+      JOIN invoices i ON i.id = it.invoice_id
+      LEFT JOIN vendors v ON v.id = i.vendor_id
+      LEFT JOIN brands b ON b.id = it.brand_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ${groupKeys}
+      ORDER BY total_cost DESC
+    `, values);
+
+    const rows = result.rows.map(row => {
+      const quantity = parseFloat(row.quantity || 0);
+      const netCost = parseFloat(row.net_cost || 0);
+      return {
+        brandId: row.brand_id || null,
+        name: row.name || row.category,
+        sku: row.sku || '',
+        category: row.category,
+        vendorName: row.vendor_name || '',
+        invoices: parseInt(row.invoices, 10),
+        quantity,
+        netCost: Math.round(netCost * 100) / 100,
+        totalCost: parseFloat(row.total_cost || 0),
+        // Average cost per unit after discount, before tax
+        averageUnitCost: quantity > 0 ? Math.round((netCost / quantity) * 100) / 100 : 0,
+        minUnitCost: parseFloat(row.min_unit_cost || 0),
+        maxUnitCost: parseFloat(row.max_unit_cost || 0)
+      };
+    });
+
+    res.json({success: true, groupBy: groupBy.value, from: from.value, to: to.value, rows});
+  } catch (error) {
+    console.error('❌ Error building purchases report:', error);
+    sendError(res, error, 'build purchases report');
+  }
+});
+
+// ===== Vendor scorecard =====
+
+// How much each measure counts towards a vendor's 0-100 score. Measures without data
+// in the period are left out and the other weights scaled up to fill in.
+const SCORECARD_WEIGHTS = {defects: 30, loss: 25, creditTurnaround: 15, visits: 15, fillRate: 15};
+// A measure scores nothing at: 10% of items reported defective, 5% of purchases lost,
+// 60 days from finding an issue to its credit note. Credit notes within a week score full marks.
+const SCORECARD_LIMITS = {defectRate: 10, lossPercent: 5, turnaroundGraceDays: 7, turnaroundDays: 60};
+const SCORECARD_MAX_MONTHS = 36;
+
+function percentOf(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+function emptyScorecardStats() {
+  return {
+    purchases: 0, itemsPurchased: 0, credits: 0, issueCount: 0, issueQuantity: 0, loss: 0, issuesByType: {},
+    creditedIssues: 0, turnaroundDays: 0, visits: 0, ordered: 0, receivedWithinOrder: 0
+  };
+}
+
+// Measures and score for one vendor's activity over `days` days. Only vendors that
+// bought or ordered anything in the period get a score.
+function scoreVendorStats(stats, days, visitFrequency) {
+  // Monthly visits are taken as every 30 days; at least one visit is expected in any period
+  const expectedVisits = Math.max(1, Math.floor(days / (VISIT_INTERVAL_DAYS[visitFrequency] || 30)));
+  const measures = {
+    defectRate: percentOf(stats.issueQuantity, stats.itemsPurchased),
+    lossPercent: percentOf(stats.loss, stats.purchases),
+    creditPercent: percentOf(stats.credits, stats.purchases),
+    creditTurnaroundDays: stats.creditedIssues > 0 ? Math.round((stats.turnaroundDays / stats.creditedIssues) * 10) / 10 : null,
+    expectedVisits,
+    visitAdherence: Math.min(100, Math.round((stats.visits / expectedVisits) * 100)),
+    fillRate: percentOf(stats.receivedWithinOrder, stats.ordered)
+  };
+
+  const clamp = value => Math.min(100, Math.max(0, value));
+  const points = {
+    defects: measures.defectRate === null ? null : clamp(100 - (measures.defectRate * 100) / SCORECARD_LIMITS.defectRate),
+    loss: measures.lossPercent === null ? null : clamp(100 - (measures.lossPercent * 100) / SCORECARD_LIMITS.lossPercent),
+    creditTurnaround: measures.creditTurnaroundDays === null ? null : clamp(
+      100 - ((measures.creditTurnaroundDays - SCORECARD_LIMITS.turnaroundGraceDays) * 100) /
+        (SCORECARD_LIMITS.turnaroundDays - SCORECARD_LIMITS.turnaroundGraceDays)
+    ),
+    visits: measures.visitAdherence,
+    fillRate: measures.fillRate
+  };
+  let weight = 0;
+  let total = 0;
+  Object.entries(SCORECARD_WEIGHTS).forEach(([key, measureWeight]) => {
+    if (points[key] === null) return;
+    weight += measureWeight;
+    total += points[key] * measureWeight;
+  });
+
+  const traded = stats.purchases > 0 || stats.ordered > 0;
+  return {...measures, score: traded && weight > 0 ? Math.round(total / weight) : null};
+}
+
+// 'YYYY-MM' months from the month of `from` to the month of `to`
+function monthsBetween(from, to) {
+  const months = [];
+  let [year, month] = from.split('-').map(Number);
+  const last = to.slice(0, 7);
+  for (let key = from.slice(0, 7); key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+    months.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+// Rate every vendor over a period on defects, losses, credit-note turnaround, visit
+// adherence and PO fill rate, with the same measures month by month for the trend,
+// and rank the vendors supplying each brand category.
+app.get('/api/reports/scorecard', requirePermission('data:read'), async (req, res) => {
+  try {
+    const today = localDateString(new Date());
+    const [year, month] = today.split('-').map(Number);
+    const sixMonthsAgo = new Date(Date.UTC(year, month - 6, 1)).toISOString().split('T')[0];
+    const from = normalizeField({label: 'From date', type: 'date', default: sixMonthsAgo}, req.query.from);
+    const to = normalizeField({label: 'To date', type: 'date', default: today}, req.query.to);
+    const invalid = collectErrors({from, to});
+    if (invalid.errors.length === 0 && from.value > to.value) {
+      addFieldError(invalid, 'from', 'From date cannot be after the to date');
+    }
+    const months = invalid.errors.length === 0 ? monthsBetween(from.value, to.value) : [];
+    if (months.length > SCORECARD_MAX_MONTHS) {
+      addFieldError(invalid, 'from', `Choose a period of at most ${SCORECARD_MAX_MONTHS} months`);
+    }
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const range = [from.value, to.value];
+    const vendors = await query('SELECT id, name, visit_frequency FROM vendors ORDER BY name');
+    const invoices = await query(`
+      SELECT vendor_id, to_char(invoice_date, 'YYYY-MM-DD') AS date, invoice_amount, total_items
+      FROM invoices WHERE invoice_date BETWEEN $1 AND $2 AND ${storeScope(req, 'store_id')}
+    `, range);
+    const credits = await query(`
+      SELECT i.vendor_id, to_char(c.credit_date, 'YYYY-MM-DD') AS date, c.credit_amount
+      FROM credit_notes c JOIN invoices i ON i.id = c.invoice_id
+      WHERE c.credit_date BETWEEN $1 AND $2 AND ${storeScope(req, 'i.store_id')}
+    `, range);
+    const issues = await query(`
+      SELECT vendor_id, to_char(date_found, 'YYYY-MM-DD') AS date, issue_type, quantity, estimated_loss
+      FROM issues WHERE date_found BETWEEN $1 AND $2 AND ${storeScope(req, 'store_id')}
+    `, range);
+    // Turnaround counts in the month the credit note arrived
+    const creditedIssues = await query(`
+      SELECT s.vendor_id, to_char(s.date_found, 'YYYY-MM-DD') AS found, to_char(c.credit_date, 'YYYY-MM-DD') AS date
+      FROM issues s JOIN credit_notes c ON c.id = s.credit_note_id
+      WHERE c.credit_date BETWEEN $1 AND $2 AND ${storeScope(req, 's.store_id')}
+    `, range);
+    const visits = await query(`
+      SELECT vendor_id, to_char(visit_date, 'YYYY-MM-DD') AS date FROM vendor_visits
+      WHERE visit_date BETWEEN $1 AND $2 AND ${storeScope(req, 'store_id')}
+    `, range);
+    // Fill rate of orders placed in the period, however late the goods came
+    const orderLines = await query(`
+      SELECT pi.id, p.vendor_id, to_char(p.order_date, 'YYYY-MM-DD') AS date, pi.quantity
+      FROM purchase_order_items pi JOIN purchase_orders p ON p.id = pi.po_id
+      WHERE p.order_date BETWEEN $1 AND $2 AND p.status <> 'cancelled' AND ${storeScope(req, 'p.store_id')}
+    `, range);
+    const receivedLines = await query(`
+      SELECT gi.po_item_id, SUM(gi.quantity_received) AS received
+      FROM goods_receipt_items gi
+      JOIN goods_receipts g ON g.id = gi.grn_id
+      JOIN purchase_orders p ON p.id = g.po_id
+      WHERE p.order_date BETWEEN $1 AND $2 AND ${storeScope(req, 'p.store_id')}
+      GROUP BY gi.po_item_id
+    `, range);
+    const categories = await query('SELECT DISTINCT vendor_id, category FROM brands WHERE category IS NOT NULL ORDER BY category');
+
+    // Stats per vendor for the whole period and per month
+    const statsByVendor = new Map(vendors.rows.map(vendor => [Number(vendor.id), {
+      total: emptyScorecardStats(),
+      months: Object.fromEntries(months.map(m => [m, emptyScorecardStats()]))
+    }]));
+    const add = (vendorId, date, apply) => {
+      const stats = statsByVendor.get(Number(vendorId));
+      if (!stats) return;
+      apply(stats.total);
+      apply(stats.months[date.slice(0, 7)]);
+    };
+
+    invoices.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      stats.purchases += parseFloat(row.invoice_amount);
+      stats.itemsPurchased += row.total_items || 0;
+    }));
+    credits.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      stats.credits += parseFloat(row.credit_amount);
+    }));
+    issues.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      const quantity = row.quantity || 0;
+      const loss = parseFloat(row.estimated_loss || 0);
+      stats.issueCount += 1;
+      stats.issueQuantity += quantity;
+      stats.loss += loss;
+      const byType = stats.issuesByType[row.issue_type] || (stats.issuesByType[row.issue_type] = {count: 0, quantity: 0, loss: 0});
+      byType.count += 1;
+      byType.quantity += quantity;
+      byType.loss = Math.round((byType.loss + loss) * 100) / 100;
+    }));
+    creditedIssues.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      stats.creditedIssues += 1;
+      stats.turnaroundDays += Math.max(0, daysBetween(row.found, row.date));
+    }));
+    visits.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      stats.visits += 1;
+    }));
+    const receivedByLine = new Map(receivedLines.rows.map(row => [Number(row.po_item_id), parseFloat(row.received)]));
+    orderLines.rows.forEach(row => add(row.vendor_id, row.date, stats => {
+      const ordered = parseFloat(row.quantity);
+      stats.ordered += ordered;
+      stats.receivedWithinOrder += Math.min(ordered, receivedByLine.get(Number(row.id)) || 0);
+    }));
+
+    const categoriesByVendor = new Map();
+    categories.rows.forEach(row => {
+      const id = Number(row.vendor_id);
+      if (!categoriesByVendor.has(id)) categoriesByVendor.set(id, []);
+      categoriesByVendor.get(id).push(row.category);
+    });
+
+    const periodDays = daysBetween(from.value, to.value) + 1;
+    const rows = vendors.rows.map(vendor => {
+      const {total, months: monthStats} = statsByVendor.get(Number(vendor.id));
+      return {
+        vendorId: vendor.id,
+        vendorName: vendor.name,
+        visitFrequency: vendor.visit_frequency,
+        categories: categoriesByVendor.get(Number(vendor.id)) || [],
+        purchases: Math.round(total.purchases * 100) / 100,
+        itemsPurchased: total.itemsPurchased,
+        credits: Math.round(total.credits * 100) / 100,
+        issueCount: total.issueCount,
+        issueQuantity: total.issueQuantity,
+        loss: Math.round(total.loss * 100) / 100,
+        issuesByType: total.issuesByType,
+        visits: total.visits,
+        ...scoreVendorStats(total, periodDays, vendor.visit_frequency),
+        trend: months.map(m => {
+          // The first and last months only count the days inside the period
+          const bounds = monthRange(m);
+          const days = daysBetween(bounds.from < from.value ? from.value : bounds.from, bounds.to > to.value ? to.value : bounds.to) + 1;
+          const {score, defectRate, lossPercent} = scoreVendorStats(monthStats[m], days, vendor.visit_frequency);
+          return {month: m, score, defectRate, lossPercent};
+        })
+      };
+    });
+    const byScore = (a, b) => (b.score ?? -1) - (a.score ?? -1) || a.vendorName.localeCompare(b.vendorName);
+    rows.sort(byScore);
+
+    // Best first within each category; vendors with nothing bought in the period aren't ranked
+    const rankings = [...new Set(categories.rows.map(row => row.category))].map(category => ({
+      category,
+      vendors: rows
+        .filter(row => row.score !== null && row.categories.includes(category))
+        .map((row, index) => ({rank: index + 1, vendorId: row.vendorId, vendorName: row.vendorName, score: row.score}))
+    }));
+
+    res.json({success: true, from: from.value, to: to.value, months, weights: SCORECARD_WEIGHTS, vendors: rows, rankings});
+  } catch (error) {
+    console.error('❌ Error building vendor scorecard:', error);
+    sendError(res, error, 'build vendor scorecard');
+  }
+});
+
+// ===== Aging =====
+
+// Aging buckets by days past due. Invoices not yet due are reported as "current".
+const AGING_BUCKETS = [
+  {key: 'current', label: 'Not yet due', maxDays: -1},
+  {key: 'days0to30', label: '0-30 days', maxDays: 30},
+  {key: 'days31to60', label: '31-60 days', maxDays: 60},
+  {key: 'days61to90', label: '61-90 days', maxDays: 90},
+  {key: 'days90plus', label: '90+ days', maxDays: Infinity}
+];
+
+// The timezone the business keeps its days in. Hosts often run in UTC (Vercel does), so
+// "today" everywhere in the app, and the digest hour, go by this rather than the server's
+// clock. Queries are handed that date instead of using the database session's CURRENT_DATE.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+const businessClockFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: BUSINESS_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+});
+
+// The 'YYYY-MM-DD' date and the hour (0-23) a Date falls on in BUSINESS_TIMEZONE
+function businessClock(date) {
+  const parts = Object.fromEntries(businessClockFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return {date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour)};
+}
+
+// 'YYYY-MM-DD' for a Date in BUSINESS_TIMEZONE
+function localDateString(date) {
+  return businessClock(date).date;
+}
+
+// Whole days between two 'YYYY-MM-DD' dates (later minus earlier)
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+}
+
+// When a vendor visiting at this frequency is next due after a 'YYYY-MM-DD' visit.
+// Monthly visits keep the day of the month, or the month's last day if it is shorter.
+function nextVisitDate(lastVisit, frequency) {
+  const date = new Date(`${lastVisit}T00:00:00Z`);
+  if (frequency === 'monthly') {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  } else {
+    date.setUTCDate(date.getUTCDate() + (VISIT_INTERVAL_DAYS[frequency] || 7));
+  }
+  return date.toISOString().split('T')[0];
+}
+
+// SQL for the visit due after the one on dateSql, worked out the way nextVisitDate does
+function nextVisitSql(dateSql, frequencySql) {
+  const days = Object.entries(VISIT_INTERVAL_DAYS).map(([frequency, interval]) => `WHEN '${frequency}' THEN ${dateSql} + ${interval}`);
+  return `CASE ${frequencySql} WHEN 'monthly' THEN (${dateSql} + INTERVAL '1 month')::date ${days.join(' ')} ELSE ${dateSql} + 7 END`;
+}
+
+// First and last day of a 'YYYY-MM' month, or null if it isn't one
+function monthRange(month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) return null;
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {from: `${month}-01`, to: `${month}-${String(new Date(year, monthNumber, 0).getDate()).padStart(2, '0')}`};
+}
+
+// An invoice's own due date, or its invoice date plus the vendor's credit period
+function invoiceDueDate(invoiceDate, dueDate, creditDays) {
+  if (dueDate) return dueDate;
+  const date = new Date(Date.parse(invoiceDate) + (parseInt(creditDays, 10) || 0) * 86400000);
+  return date.toISOString().split('T')[0];
+}
+
+// Outstanding balance of every invoice dated on or before asOf, counting only
+// cleared payments and credit notes dated on or before asOf. Dates come back as 'YYYY-MM-DD' text.
+async function fetchInvoiceBalances(asOf, {storeId = null} = {}) {
+  const result = await query(`
+    SELECT i.id, i.vendor_id, i.store_id, st.name AS store_name, i.invoice_number, i.invoice_amount,
+           v.name AS vendor_name, v.credit_days,
+           to_char(i.invoice_date, 'YYYY-MM-DD') AS invoice_date,
+           to_char(i.due_date, 'YYYY-MM-DD') AS due_date,
+           COALESCE(p.total_paid, 0) AS total_paid,
+           COALESCE(c.total_credited, 0) AS total_credited
+    FROM invoices i
+    JOIN vendors v ON v.id = i.vendor_id
+    JOIN stores st ON st.id = i.store_id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(payment_amount) AS total_paid
+      FROM invoice_payments
+      WHERE ${CLEARED_FUNDS_SQL} AND COALESCE(cheque_status_date, payment_date) <= $1
+      GROUP BY invoice_id
+    ) p ON p.invoice_id = i.id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(credit_amount) AS total_credited
+      FROM credit_notes WHERE credit_date <= $1 GROUP BY invoice_id
+    ) c ON c.invoice_id = i.id
+    WHERE i.invoice_date <= $1 AND ($2::bigint IS NULL OR i.store_id = $2)
+    ORDER BY v.name, i.invoice_date, i.id
+  `, [asOf, storeId]);
+
+  return result.rows.map(row => {
+    const invoiceAmount = parseFloat(row.invoice_amount || 0);
+    const paid = parseFloat(row.total_paid || 0);
+    const credited = parseFloat(row.total_credited || 0);
+    return {
+      id: row.id,
+      vendorId: row.vendor_id,
+      vendorName: row.vendor_name,
+      storeId: row.store_id,
+      storeName: row.store_name,
+      invoiceNumber: row.invoice_number,
+      invoiceDate: row.invoice_date,
+      dueDate: invoiceDueDate(row.invoice_date, row.due_date, row.credit_days),
+      dueDateSource: row.due_date ? 'invoice' : 'credit_days',
+      invoiceAmount,
+      paid,
+      credited,
+      outstanding: Math.round((invoiceAmount - paid - credited) * 100) / 100
+    };
+  });
+}
+
+// What is still to be paid on invoices, all of them (or one store's) or just invoiceIds. Unlike
+// the outstanding balance this counts cheques still in transit, so nothing is paid twice;
+// only bounced and cancelled cheques are ignored. Lock the invoices first when paying.
+async function fetchUnpaidInvoices(db, invoiceIds = null, {storeId = null} = {}) {
+  if (invoiceIds && invoiceIds.length === 0) return [];
+  const values = invoiceIds ? [...invoiceIds] : [];
+  const conditions = invoiceIds ? [`i.id IN (${invoiceIds.map((_, i) => `$${i + 1}`).join(', ')})`] : [];
+  if (storeId) {
+    values.push(storeId);
+    conditions.push(`i.store_id = $${values.length}`);
+  }
+  const filter = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+  const result = await db.query(`
+    SELECT i.id, i.vendor_id, i.store_id, i.invoice_number, i.invoice_amount,
+           v.name AS vendor_name, v.payment_terms, v.credit_days,
+           to_char(i.invoice_date, 'YYYY-MM-DD') AS invoice_date,
+           to_char(i.due_date, 'YYYY-MM-DD') AS due_date,
+           COALESCE(p.total_paid, 0) AS total_paid,
+           COALESCE(c.total_credited, 0) AS total_credited
+    FROM invoices i
+    JOIN vendors v ON v.id = i.vendor_id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(payment_amount) AS total_paid
+      FROM invoice_payments
+      WHERE COALESCE(cheque_status, '') NOT IN ('bounced', 'cancelled')
+      GROUP BY invoice_id
+    ) p ON p.invoice_id = i.id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(credit_amount) AS total_credited FROM credit_notes GROUP BY invoice_id
+    ) c ON c.invoice_id = i.id
+    ${filter}
+    ORDER BY i.invoice_date, i.id
+  `, values);
+
+  return result.rows.map(row => {
+    const invoiceAmount = parseFloat(row.invoice_amount || 0);
+    return {
+      id: row.id,
+      vendorId: row.vendor_id,
+      vendorName: row.vendor_name,
+      storeId: row.store_id,
+      paymentTerms: row.payment_terms,
+      invoiceNumber: row.invoice_number,
+      invoiceDate: row.invoice_date,
+      dueDate: invoiceDueDate(row.invoice_date, row.due_date, row.credit_days),
+      invoiceAmount,
+      unpaid: Math.round((invoiceAmount - parseFloat(row.total_paid) - parseFloat(row.total_credited)) * 100) / 100
+    };
+  });
+}
+
+// Accounts-payable aging: outstanding per vendor bucketed by days past due, with the invoices
+// behind each figure. Across all stores the same buckets are also totalled per store.
+app.get('/api/reports/aging', requirePermission('data:read'), async (req, res) => {
+  try {
+    const {value: asOf, error} = normalizeField({label: 'As-of date', type: 'date', default: localDateString(new Date())}, req.query.asOf);
+    if (error) {
+      return sendValidationErrors(res, {errors: [error], fields: {asOf: error}});
+    }
+
+    const emptyBuckets = () => Object.fromEntries([...AGING_BUCKETS.map(b => [b.key, 0]), ['total', 0]]);
+    const totals = emptyBuckets();
+    const vendorsById = new Map();
+    const storesById = new Map();
+    const invoices = [];
+
+    (await fetchInvoiceBalances(asOf, {storeId: req.store ? req.store.id : null})).forEach(invoice => {
+      if (invoice.outstanding <= 0) return;
+
+      const daysPastDue = daysBetween(invoice.dueDate, asOf);
+      const bucket = AGING_BUCKETS.find(b => daysPastDue <= b.maxDays).key;
+      invoices.push({...invoice, daysPastDue, bucket});
+
+      if (!vendorsById.has(invoice.vendorId)) {
+        vendorsById.set(invoice.vendorId, {vendorId: invoice.vendorId, vendorName: invoice.vendorName, ...emptyBuckets()});
+      }
+      if (!storesById.has(invoice.storeId)) {
+        storesById.set(invoice.storeId, {storeId: invoice.storeId, storeName: invoice.storeName, ...emptyBuckets()});
+      }
+      const vendor = vendorsById.get(invoice.vendorId);
+      [vendor, storesById.get(invoice.storeId), totals].forEach(row => {
+        row[bucket] = Math.round((row[bucket] + invoice.outstanding) * 100) / 100;
+        row.total = Math.round((row.total + invoice.outstanding) * 100) / 100;
+      });
+    });
+
+    console.log(`✅ Aging report as of ${asOf}: ${invoices.length} open invoices, ${vendorsById.size} vendors`);
+    res.json({
+      success: true,
+      asOf,
+      buckets: AGING_BUCKETS.map(({key, label}) => ({key, label})),
+      totals,
+      vendors: [...vendorsById.values()],
+      stores: [...storesById.values()].sort((a, b) => a.storeName.localeCompare(b.storeName)),
+      invoices
+    });
+  } catch (error) {
+    console.error('❌ Error building aging report:', error);
+    sendError(res, error, 'build aging report');
+  }
+});
+
+// Vendor account ledger at the request's store: invoices are debits, payments and credit notes are credits.
+// Cheques count from the day they are issued; a bounced cheque is reversed on its bounce date.
+// Optional from/to (YYYY-MM-DD, inclusive); anything before "from" goes into the opening balance.
+app.get('/api/vendors/:id/ledger', requirePermission('data:read'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const from = normalizeField({label: 'From date', type: 'date'}, req.query.from);
+    const to = normalizeField({label: 'To date', type: 'date'}, req.query.to);
+    const range = {from: from.value, to: to.value};
+    const invalid = collectErrors({from, to});
+    if (range.from && range.to && range.from > range.to) {
+      addFieldError(invalid, 'to', 'From date must be on or before To date');
+    }
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const vendorResult = await query('SELECT * FROM vendors WHERE id = $1', [vendorId]);
+    if (vendorResult.rows.length === 0) {
+      return res.status(404).json({error: 'Vendor not found'});
+    }
+
+    // Dates come back as 'YYYY-MM-DD' text so ordering and range checks don't depend on the timezone
+    const entriesResult = await query(`
+      SELECT * FROM (
+        SELECT 'invoice' AS entry_type, 1 AS sort_order, i.id, to_char(i.invoice_date, 'YYYY-MM-DD') AS entry_date,
+               i.invoice_number AS reference, i.id AS invoice_id, i.invoice_number,
+               i.invoice_amount AS debit, 0 AS credit, to_char(i.due_date, 'YYYY-MM-DD') AS due_date, '' AS notes
+        FROM invoices i
+        WHERE i.vendor_id = $1 AND ${storeScope(req, 'i.store_id')}
+        UNION ALL
+        SELECT 'payment', 2, p.id, to_char(p.payment_date, 'YYYY-MM-DD'),
+               COALESCE(NULLIF(p.cheque_number, ''), UPPER(COALESCE(p.payment_method, ''))), i.id, i.invoice_number,
+               0, p.payment_amount, NULL, COALESCE(p.payment_notes, '')
+        FROM invoice_payments p
+        JOIN invoices i ON i.id = p.invoice_id
+        WHERE i.vendor_id = $1 AND ${storeScope(req, 'i.store_id')} AND p.cheque_status IS DISTINCT FROM 'cancelled'
+        UNION ALL
+        SELECT 'cheque_bounce', 4, p.id, to_char(COALESCE(p.cheque_status_date, p.payment_date), 'YYYY-MM-DD'),
+               p.cheque_number, i.id, i.invoice_number,
+               p.payment_amount, 0, NULL, COALESCE(p.payment_notes, '')
+        FROM invoice_payments p
+        JOIN invoices i ON i.id = p.invoice_id
+        WHERE i.vendor_id = $1 AND ${storeScope(req, 'i.store_id')} AND p.cheque_status = 'bounced'
+        UNION ALL
+        SELECT 'credit_note', 3, c.id, to_char(c.credit_date, 'YYYY-MM-DD'),
+               c.crn_number, i.id, i.invoice_number,
+               0, c.credit_amount, NULL, COALESCE(c.return_reason, '')
+        FROM credit_notes c
+        JOIN invoices i ON i.id = c.invoice_id
+        WHERE i.vendor_id = $1 AND ${storeScope(req, 'i.store_id')}
+      ) entries
+      ORDER BY entry_date, sort_order, id
+    `, [vendorId]);
+
+    const round = amount => Math.round(amount * 100) / 100;
+    let openingBalance = 0;
+    let balance = 0;
+    let totalDebits = 0;
+    let totalCredits = 0;
+    const entries = [];
+    entriesResult.rows.forEach(row => {
+      const debit = parseFloat(row.debit || 0);
+      const credit = parseFloat(row.credit || 0);
+      if (range.to && row.entry_date > range.to) return;
+      if (range.from && row.entry_date < range.from) {
+        openingBalance += debit - credit;
+        balance = openingBalance;
+        return;
+      }
+
+      balance += debit - credit;
+      totalDebits += debit;
+      totalCredits += credit;
+      entries.push({
+        type: row.entry_type,
+        id: row.id,
+        date: row.entry_date,
+        reference: row.reference,
+        invoiceId: row.invoice_id,
+        invoiceNumber: row.invoice_number,
+        dueDate: row.due_date,
+        notes: row.notes,
+        debit,
+        credit,
+        balance: round(balance)
+      });
+    });
+
+    console.log(`✅ Ledger prepared for vendor ${vendorId}: ${entries.length} entries`);
+    res.json({
+      success: true,
+      vendor: vendorResult.rows[0],
+      from: range.from,
+      to: range.to,
+      openingBalance: round(openingBalance),
+      totalDebits: round(totalDebits),
+      totalCredits: round(totalCredits),
+      closingBalance: round(openingBalance + totalDebits - totalCredits),
+      entries
+    });
+  } catch (error) {
+    console.error('❌ Error building vendor ledger:', error);
+    sendError(res, error, 'build vendor ledger');
+  }
+});
+
+// Record a payment against an invoice. Send an Idempotency-Key header to make resubmits safe;
+// paying more than is unpaid on the invoice needs allowOverpayment.
+app.post('/api/payments', requirePermission('payments:write'), async (req, res) => {
+  console.log('📝 POST /api/payments - Recording payment for invoice:', req.body.invoiceId);
+  try {
+    const insert = buildInsert(req.body, PAYMENT_FIELDS);
+    const invoiceId = normalizeField({label: 'Invoice', type: 'integer', positive: true, required: true}, req.body.invoiceId);
+    if (invoiceId.error) insert.errors.unshift(invoiceId.error);
+
+    // New cheques start as issued unless the caller says they have already cleared
+    const payment = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (payment.payment_method === 'cheque') {
+      const chequeStatus = normalizeField({label: 'Cheque status', oneOf: CHEQUE_STATUSES, default: 'issued'}, req.body.chequeStatus);
+      if (chequeStatus.error) addFieldError(insert, 'chequeStatus', chequeStatus.error);
+      payment.cheque_status = chequeStatus.value;
+      payment.cheque_status_date = payment.payment_date;
+    }
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    payment.invoice_id = invoiceId.value;
+    writableStore(req);
+
+    const {body, replayed} = await idempotentTransaction(req, async (client) => {
+      const invoice = await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId.value]);
+      if (invoice.rows.length === 0) {
+        throw validationError(['Invoice not found'], {invoiceId: 'Invoice not found'});
+      }
+      await checkRecordStore(client, req, 'invoices', invoiceId.value, 'invoiceId');
+
+      const columns = Object.keys(payment);
+      const insertResult = await client.query(
+        `INSERT INTO invoice_payments (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        Object.values(payment)
+      );
+      const row = insertResult.rows[0];
+      await checkInvoiceBalance(client, row.invoice_id, paymentApplied(row), req.body, 'allowOverpayment');
+      await recordAudit(client, req, 'invoice_payments', row.id, 'create');
+      return {success: true, payment: row};
+    });
+
+    console.log(`✅ Payment ${replayed ? 'already recorded' : 'recorded successfully'} for invoice ID: ${invoiceId.value}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(body);
+  } catch (error) {
+    console.error('❌ Error in POST /api/payments:', error);
+    sendError(res, error, 'record payment');
+  }
+});
+
+// Credit notes with how much of each is already allocated to credited issues
+const CREDIT_NOTE_LIST_SQL = `
+  SELECT cn.*, i.invoice_number, i.vendor_id, i.store_id, v.name AS vendor_name,
+         COALESCE(a.allocated, 0) AS allocated,
+         cn.credit_amount - COALESCE(a.allocated, 0) AS available
+  FROM credit_notes cn
+  JOIN invoices i ON i.id = cn.invoice_id
+  LEFT JOIN vendors v ON v.id = i.vendor_id
+  LEFT JOIN (
+    SELECT credit_note_id, SUM(COALESCE(recovered_amount, 0)) AS allocated
+    FROM issues WHERE credit_note_id IS NOT NULL GROUP BY credit_note_id
+  ) a ON a.credit_note_id = cn.id
+`;
+
+const CREDIT_NOTE_LIST = {
+  search: ['c.crn_number', 'c.invoice_number', 'c.vendor_name'],
+  filters: {
+    // Set from the request's store by listQuery
+    storeId: {column: 'c.store_id', label: 'Store', type: 'integer', positive: true},
+    vendorId: {column: 'c.vendor_id', label: 'Vendor', type: 'integer', positive: true},
+    invoiceId: {column: 'c.invoice_id', label: 'Invoice', type: 'integer', positive: true},
+    from: {column: 'c.credit_date', operator: '>=', label: 'From date', type: 'date'},
+    to: {column: 'c.credit_date', operator: '<=', label: 'To date', type: 'date'}
+  },
+  sorts: {creditDate: 'c.credit_date', creditAmount: 'c.credit_amount', available: 'c.available', vendorName: 'c.vendor_name'},
+  defaultSort: '-creditDate',
+  tieBreak: 'c.id DESC'
+};
+
+app.get('/api/credit-notes', requirePermission('data:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(listQuery(req), CREDIT_NOTE_LIST);
+    if (list.errors.length > 0) {
+      return sendValidationErrors(res, list);
+    }
+
+    const [rows, count] = await Promise.all([
+      query(`SELECT * FROM (${CREDIT_NOTE_LIST_SQL}) c ${list.where} ${list.orderBy} ${list.paging}`, list.values),
+      query(`SELECT COUNT(*) AS total FROM (${CREDIT_NOTE_LIST_SQL}) c ${list.where}`, list.values)
+    ]);
+
+    res.json({success: true, creditNotes: rows.rows, ...pageInfo(list, parseInt(count.rows[0].total, 10))});
+  } catch (error) {
+    console.error('❌ Error listing credit notes:', error);
+    sendError(res, error, 'list credit notes');
+  }
+});
+
+// Add a credit note to an invoice. Send an Idempotency-Key header to make resubmits safe;
+// crediting more than is unpaid on the invoice needs allowOverCredit.
+app.post('/api/credit-notes', requirePermission('credit-notes:write'), async (req, res) => {
+  console.log('📝 POST /api/credit-notes - Creating credit note for invoice:', req.body.invoiceId);
+  try {
+    const insert = buildInsert(req.body, CREDIT_NOTE_FIELDS);
+    const invoiceId = normalizeField({label: 'Invoice', type: 'integer', positive: true, required: true}, req.body.invoiceId);
+    if (invoiceId.error) insert.errors.unshift(invoiceId.error);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    const columns = ['invoice_id', ...insert.columns];
+    writableStore(req);
+
+    const {body, replayed} = await idempotentTransaction(req, async (client) => {
+      const invoice = await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId.value]);
+      if (invoice.rows.length === 0) {
+        throw validationError(['Invoice not found'], {invoiceId: 'Invoice not found'});
+      }
+      await checkRecordStore(client, req, 'invoices', invoiceId.value, 'invoiceId');
+
+      const result = await client.query(
+        `INSERT INTO credit_notes (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [invoiceId.value, ...insert.values]
+      );
+      const creditNote = result.rows[0];
+      checkTaxBreakdown(creditNote, creditNote.credit_amount);
+      await checkInvoiceBalance(client, creditNote.invoice_id, parseFloat(creditNote.credit_amount), req.body, 'allowOverCredit');
+      await recordAudit(client, req, 'credit_notes', creditNote.id, 'create');
+      return {success: true, creditNote};
+    });
+
+    console.log(`✅ Credit note ${replayed ? 'already created' : 'created successfully'}. ID: ${body.creditNote.id}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(body);
+  } catch (error) {
+    console.error('❌ Error in POST /api/credit-notes:', error);
+    sendError(res, error, 'create credit note');
+  }
+});
+
+// Update a recorded payment
+const updatePayment = async (req, res) => {
+  try {
+    const paymentId = req.params.id;
+    const update = buildUpdate(req.body, PAYMENT_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    // Switching to or from cheque starts or ends the cheque lifecycle
+    const extraSets = [];
+    if (req.body.paymentMethod === 'cheque') {
+      extraSets.push("cheque_status = COALESCE(cheque_status, 'issued')", 'cheque_status_date = COALESCE(cheque_status_date, payment_date)');
+    } else if (req.body.paymentMethod !== undefined) {
+      extraSets.push('cheque_status = NULL', 'cheque_status_date = NULL');
+    }
+
+    const payment = await updateRecord(req, 'invoice_payments', paymentId, update, extraSets, async (client, row, before) => {
+      // A rent set-off is both a payment and a rent receipt; changing one side alone would leave them disagreeing
+      const receipt = await client.query('SELECT id FROM rent_receipts WHERE invoice_payment_id = $1', [paymentId]);
+      if (receipt.rows.length > 0) {
+        throw Object.assign(new Error('This payment is a display rent set-off and cannot be edited'), {status: 409});
+      }
+      await checkInvoiceBalance(client, row.invoice_id, paymentApplied(row) - paymentApplied(before), req.body, 'allowOverpayment');
+    });
+    if (!payment) {
+      return res.status(404).json({error: 'Payment not found'});
+    }
+
+    console.log(`✅ Payment updated successfully. ID: ${paymentId}`);
+    res.json({success: true, payment});
+  } catch (error) {
+    console.error('❌ Error updating payment:', error);
+    sendError(res, error, 'update payment');
+  }
+};
+app.put('/api/payments/:id', requirePermission('payments:write'), requireStoreRecord('invoice_payments'), updatePayment);
+app.patch('/api/payments/:id', requirePermission('payments:write'), requireStoreRecord('invoice_payments'), updatePayment);
+
+// Move a cheque through its lifecycle: issued -> presented -> cleared, or bounced/cancelled
+app.post('/api/payments/:id/cheque-status', requirePermission('payments:write'), requireStoreRecord('invoice_payments'), async (req, res) => {
+  try {
+    const paymentId = req.params.id;
+    const status = normalizeField({label: 'Cheque status', required: true, oneOf: CHEQUE_STATUSES}, req.body.status);
+    const statusDate = normalizeField({label: 'Status date', type: 'date', default: localDateString(new Date())}, req.body.date);
+    const invalid = collectErrors({status, date: statusDate});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const payment = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'invoice_payments', paymentId, true);
+      if (!before) return null;
+      if (before.payment_method !== 'cheque') {
+        throw Object.assign(new Error('Only cheque payments have a cheque status'), {status: 400});
+      }
+      if (!CHEQUE_TRANSITIONS[before.cheque_status].includes(status.value)) {
+        throw Object.assign(new Error(`A ${before.cheque_status} cheque cannot be marked ${status.value}`), {status: 409});
+      }
+
+      // Keep the bank's reason (e.g. "insufficient funds") with the payment
+      const reason = String(req.body.reason || '').trim();
+      const notes = reason
+        ? [before.payment_notes, `Cheque ${status.value} on ${statusDate.value}: ${reason}`].filter(Boolean).join('\n')
+        : before.payment_notes;
+      const result = await client.query(`
+        UPDATE invoice_payments SET
+          cheque_status = $1, cheque_status_date = $2, payment_notes = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4 RETURNING *
+      `, [status.value, statusDate.value, notes, paymentId]);
+      // A bounced cheque presented again counts towards the invoice once more
+      await checkInvoiceBalance(client, before.invoice_id, paymentApplied(result.rows[0]) - paymentApplied(before), req.body, 'allowOverpayment');
+      await recordAudit(client, req, 'invoice_payments', paymentId, 'update', before);
+      return result.rows[0];
+    });
+
+    if (!payment) {
+      return res.status(404).json({error: 'Payment not found'});
+    }
+
+    console.log(`✅ Cheque ${payment.cheque_number || paymentId} marked ${payment.cheque_status}`);
+    res.json({success: true, payment});
+  } catch (error) {
+    console.error('❌ Error updating cheque status:', error);
+    sendError(res, error, 'update cheque status');
+  }
+});
+
+// Cheque register. status=open (default) lists cheques still to clear; from/to filter on the cheque date.
+app.get('/api/cheques', requirePermission('data:read'), async (req, res) => {
+  try {
+    const status = normalizeField({label: 'Status', oneOf: ['open', 'all', ...CHEQUE_STATUSES], default: 'open'}, req.query.status);
+    const from = normalizeField({label: 'From date', type: 'date'}, req.query.from);
+    const to = normalizeField({label: 'To date', type: 'date'}, req.query.to);
+    const invalid = collectErrors({status, from, to});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const conditions = ["p.payment_method = 'cheque'", storeScope(req, 'i.store_id')];
+    const values = [];
+    if (status.value === 'open') {
+      conditions.push("p.cheque_status IN ('issued', 'presented')");
+    } else if (status.value !== 'all') {
+      values.push(status.value);
+      conditions.push(`p.cheque_status = $${values.length}`);
+    }
+    if (from.value) {
+      values.push(from.value);
+      conditions.push(`COALESCE(p.cheque_date, p.payment_date) >= $${values.length}`);
+    }
+    if (to.value) {
+      values.push(to.value);
+      conditions.push(`COALESCE(p.cheque_date, p.payment_date) <= $${values.length}`);
+    }
+
+    const result = await query(`
+      SELECT p.id, p.invoice_id, i.invoice_number, i.vendor_id, v.name AS vendor_name,
+             p.cheque_number, p.payment_amount, p.cheque_status, p.payment_notes,
+             to_char(COALESCE(p.cheque_date, p.payment_date), 'YYYY-MM-DD') AS cheque_date,
+             to_char(p.payment_date, 'YYYY-MM-DD') AS payment_date,
+             to_char(p.cheque_status_date, 'YYYY-MM-DD') AS cheque_status_date
+      FROM invoice_payments p
+      JOIN invoices i ON i.id = p.invoice_id
+      LEFT JOIN vendors v ON v.id = i.vendor_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY COALESCE(p.cheque_date, p.payment_date), p.id
+    `, values);
+
+    const cheques = result.rows.map(row => ({
+      id: row.id,
+      invoiceId: row.invoice_id,
+      invoiceNumber: row.invoice_number,
+      vendorId: row.vendor_id,
+      vendorName: row.vendor_name,
+      chequeNumber: row.cheque_number || '',
+      chequeDate: row.cheque_date,
+      paymentDate: row.payment_date,
+      amount: parseFloat(row.payment_amount || 0),
+      status: row.cheque_status,
+      statusDate: row.cheque_status_date,
+      notes: row.payment_notes || '',
+      nextStatuses: CHEQUE_TRANSITIONS[row.cheque_status] || []
+    }));
+
+    res.json({success: true, today: localDateString(new Date()), cheques});
+  } catch (error) {
+    console.error('❌ Error fetching cheque register:', error);
+    sendError(res, error, 'fetch cheque register');
+  }
+});
+
+// Update a credit note
+const updateCreditNote = async (req, res) => {
+  try {
+    const creditNoteId = req.params.id;
+    const update = buildUpdate(req.body, CREDIT_NOTE_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const creditNote = await updateRecord(req, 'credit_notes', creditNoteId, update, [], async (client, row, before) => {
+      checkTaxBreakdown(row, row.credit_amount);
+      await checkInvoiceBalance(client, row.invoice_id, parseFloat(row.credit_amount) - parseFloat(before.credit_amount), req.body, 'allowOverCredit');
+    });
+    if (!creditNote) {
+      return res.status(404).json({error: 'Credit note not found'});
+    }
+
+    console.log(`✅ Credit note updated successfully. ID: ${creditNoteId}`);
+    res.json({success: true, creditNote});
+  } catch (error) {
+    console.error('❌ Error updating credit note:', error);
+    sendError(res, error, 'update credit note');
+  }
+};
+app.put('/api/credit-notes/:id', requirePermission('credit-notes:write'), requireStoreRecord('credit_notes'), updateCreditNote);
+app.patch('/api/credit-notes/:id', requirePermission('credit-notes:write'), requireStoreRecord('credit_notes'), updateCreditNote);
+
+// ===== Purchase orders & three-way match =====
+
+const roundQuantity = value => Math.round(value * 1000) / 1000;
+
+// Validate a purchase order's lines: an invoice line without tax or discount
+function buildPurchaseOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return {rows: [], errors: ['Add at least one line to the purchase order'], fields: {}};
+  }
+
+  const rows = [];
+  const errors = [];
+  const fields = {};
+  items.forEach((item, index) => {
+    const line = `Line ${index + 1}`;
+    const insert = buildInsert(item || {}, PURCHASE_ORDER_ITEM_FIELDS);
+    if (insert.errors.length > 0) {
+      addLineErrors({errors, fields}, 'items', index, line, insert.fields);
+      return;
+    }
+    const row = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (!row.brand_id && !row.description) {
+      addLineErrors({errors, fields}, 'items', index, line, {description: 'Choose a brand or enter a description'});
+    }
+    rows.push(row);
+  });
+  return {rows, errors, fields};
+}
+
+// Validate the lines of a goods received note; each PO line may appear once
+function buildGoodsReceiptItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return {rows: [], errors: ['Add at least one line to the goods received note'], fields: {}};
+  }
+
+  const rows = [];
+  const errors = [];
+  const fields = {};
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const insert = buildInsert(item || {}, GOODS_RECEIPT_ITEM_FIELDS);
+    if (insert.errors.length > 0) {
+      addLineErrors({errors, fields}, 'items', index, `Line ${index + 1}`, insert.fields);
+      return;
+    }
+    const row = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (seen.has(row.po_item_id)) {
+      errors.push(`Line ${index + 1}: PO line is already on this goods received note`);
+      return;
+    }
+    seen.add(row.po_item_id);
+    rows.push(row);
+  });
+  if (errors.length === 0 && !rows.some(row => row.quantity_received > 0)) {
+    errors.push('Enter the quantity received on at least one line');
+  }
+  return {rows, errors, fields};
+}
+
+// Replace a purchase order's lines
+async function savePurchaseOrderItems(client, poId, vendorId, rows) {
+  await applyItemBrands(client, vendorId, rows);
+  await client.query('DELETE FROM purchase_order_items WHERE po_id = $1', [poId]);
+  for (const [index, row] of rows.entries()) {
+    await client.query(`
+      INSERT INTO purchase_order_items (po_id, brand_id, description, sku, quantity, unit_cost, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [poId, row.brand_id || null, row.description || null, row.sku || null, row.quantity, row.unit_cost, index]);
+  }
+}
+
+// An invoice can only be matched against one of its own vendor's purchase orders, placed
+// by the same store. Returns why it can't go against po (undefined when there is no such
+// purchase order), or null if it can.
+function invoicePurchaseOrderError(po, invoice) {
+  if (!po || Number(po.vendor_id) !== Number(invoice.vendor_id)) {
+    return "Choose a purchase order from this invoice's vendor";
+  }
+  if (Number(po.store_id) !== Number(invoice.store_id)) {
+    return 'Choose a purchase order placed by the same store as this invoice';
+  }
+  return null;
+}
+
+async function checkInvoicePurchaseOrder(client, invoice) {
+  if (!invoice.po_id) return;
+  const result = await client.query('SELECT vendor_id, store_id FROM purchase_orders WHERE id = $1', [invoice.po_id]);
+  const message = invoicePurchaseOrderError(result.rows[0], invoice);
+  if (message) {
+    throw validationError([message], {poId: message});
+  }
+}
+
+// Three-way match per PO line: what was ordered, what the GRNs say arrived and what the
+// invoices bill. An invoice line belongs to the PO line with the same brand, else SKU,
+// else description; invoice lines that belong to none are listed as not ordered.
+function matchPurchaseOrder(po, invoiceItems, receivedByItem, raisedByItem) {
+  const key = value => String(value || '').trim().toLowerCase();
+  const lines = po.items.map(item => ({
+    poItemId: Number(item.id),
+    brandId: item.brand_id ? Number(item.brand_id) : null,
+    description: item.description || '',
+    sku: item.sku || '',
+    ordered: item.quantity,
+    unitCost: item.unit_cost,
+    received: roundQuantity(receivedByItem.get(Number(item.id)) || 0),
+    invoiced: 0,
+    priceMismatches: [],
+    shortRaised: raisedByItem.get(Number(item.id)) || 0,
+    flags: []
+  }));
+  const findLine = item =>
+    (item.brand_id && lines.find(line => line.brandId === Number(item.brand_id))) ||
+    (item.sku && lines.find(line => line.sku && key(line.sku) === key(item.sku))) ||
+    (item.description && lines.find(line => key(line.description) === key(item.description)));
+
+  const notOrdered = [];
+  invoiceItems.forEach(item => {
+    const entry = {
+      invoiceId: item.invoice_id,
+      invoiceNumber: item.invoice_number,
+      description: item.description || '',
+      sku: item.sku || '',
+      quantity: parseFloat(item.quantity),
+      unitCost: parseFloat(item.unit_cost)
+    };
+    const line = findLine(item);
+    if (!line) {
+      notOrdered.push(entry);
+      return;
+    }
+    line.invoiced += entry.quantity;
+    if (Math.abs(entry.unitCost - line.unitCost) > PO_PRICE_TOLERANCE) line.priceMismatches.push(entry);
+  });
+
+  // Nothing is short until a delivery has come in, and quantities can't be compared until an invoice has lines
+  const hasReceipts = po.receipts.length > 0;
+  const hasInvoiceLines = invoiceItems.length > 0;
+  lines.forEach(line => {
+    line.invoiced = roundQuantity(line.invoiced);
+    line.shortfall = Math.max(0, roundQuantity(line.ordered - line.received));
+    if (hasReceipts && line.shortfall > 0) line.flags.push('short_delivery');
+    if (line.received > line.ordered) line.flags.push('over_delivery');
+    if (hasInvoiceLines && line.invoiced !== line.received) line.flags.push('quantity_mismatch');
+    if (line.priceMismatches.length > 0) line.flags.push('price_mismatch');
+  });
+
+  const mismatched = notOrdered.length > 0 || lines.some(line => line.flags.length > 0);
+  const value = quantity => Math.round(lines.reduce((sum, line) => sum + line[quantity] * line.unitCost, 0) * 100) / 100;
+  return {
+    status: mismatched ? 'mismatch' : hasReceipts && hasInvoiceLines ? 'matched' : 'pending',
+    lines,
+    notOrdered,
+    orderedValue: value('ordered'),
+    receivedValue: value('received'),
+    invoicedAmount: Math.round(po.invoices.reduce((sum, invoice) => sum + invoice.invoice_amount, 0) * 100) / 100
+  };
+}
+
+// Purchase orders with their lines, GRNs, linked invoices and three-way match.
+// Dates come back as 'YYYY-MM-DD' text.
+async function fetchPurchaseOrders(db, {poId = null, vendorId = null, storeId = null, status = null, lock = false} = {}) {
+  const conditions = [];
+  const values = [];
+  if (poId) {
+    values.push(poId);
+    conditions.push(`p.id = $${values.length}`);
+  }
+  if (storeId) {
+    values.push(storeId);
+    conditions.push(`p.store_id = $${values.length}`);
+  }
+  if (vendorId) {
+    values.push(vendorId);
+    conditions.push(`p.vendor_id = $${values.length}`);
+  }
+  if (status) {
+    values.push(status);
+    conditions.push(`p.status = $${values.length}`);
+  }
+  const poResult = await db.query(`
+    SELECT p.id, p.vendor_id, v.name AS vendor_name, p.store_id, p.po_number, p.status, p.notes,
+           to_char(p.order_date, 'YYYY-MM-DD') AS order_date,
+           to_char(p.expected_date, 'YYYY-MM-DD') AS expected_date
+    FROM purchase_orders p
+    JOIN vendors v ON v.id = p.vendor_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY p.order_date DESC, p.id DESC
+    ${lock ? 'FOR UPDATE OF p' : ''}
+  `, values);
+  if (poResult.rows.length === 0) return [];
+
+  const ids = poResult.rows.map(row => row.id);
+  const inList = `(${ids.map((_, i) => `$${i + 1}`).join(', ')})`;
+  const items = await db.query(`SELECT * FROM purchase_order_items WHERE po_id IN ${inList} ORDER BY sort_order, id`, ids);
+  const receipts = await db.query(`
+    SELECT id, po_id, grn_number, received_by, notes, to_char(received_date, 'YYYY-MM-DD') AS received_date
+    FROM goods_receipts WHERE po_id IN ${inList} ORDER BY received_date, id
+  `, ids);
+  const receiptItems = await db.query(`
+    SELECT gi.grn_id, gi.po_item_id, gi.quantity_received
+    FROM goods_receipt_items gi JOIN goods_receipts g ON g.id = gi.grn_id
+    WHERE g.po_id IN ${inList} ORDER BY gi.id
+  `, ids);
+  const invoices = await db.query(`
+    SELECT id, po_id, invoice_number, invoice_amount, to_char(invoice_date, 'YYYY-MM-DD') AS invoice_date
+    FROM invoices WHERE po_id IN ${inList} ORDER BY invoice_date, id
+  `, ids);
+  const invoiceItems = await db.query(`
+    SELECT it.invoice_id, it.brand_id, it.description, it.sku, it.quantity, it.unit_cost, i.invoice_number, i.po_id
+    FROM invoice_items it JOIN invoices i ON i.id = it.invoice_id
+    WHERE i.po_id IN ${inList} ORDER BY i.id, it.sort_order, it.id
+  `, ids);
+  const raised = await db.query(`
+    SELECT s.po_item_id, SUM(s.quantity) AS quantity
+    FROM issues s JOIN purchase_order_items pi ON pi.id = s.po_item_id
+    WHERE pi.po_id IN ${inList} AND s.issue_type = 'short_delivery'
+    GROUP BY s.po_item_id
+  `, ids);
+
+  const byPo = rows => {
+    const groups = new Map();
+    rows.forEach(row => {
+      const id = Number(row.po_id);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(row);
+    });
+    return groups;
+  };
+  const itemsByPo = byPo(items.rows);
+  const receiptsByPo = byPo(receipts.rows);
+  const invoicesByPo = byPo(invoices.rows);
+  const invoiceItemsByPo = byPo(invoiceItems.rows);
+  const receivedByItem = new Map();
+  receiptItems.rows.forEach(row => {
+    const id = Number(row.po_item_id);
+    receivedByItem.set(id, (receivedByItem.get(id) || 0) + parseFloat(row.quantity_received));
+  });
+  const raisedByItem = new Map(raised.rows.map(row => [Number(row.po_item_id), parseFloat(row.quantity)]));
+
+  return poResult.rows.map(row => {
+    const id = Number(row.id);
+    const po = {
+      ...row,
+      items: (itemsByPo.get(id) || []).map(item => ({...item, quantity: parseFloat(item.quantity), unit_cost: parseFloat(item.unit_cost)})),
+      receipts: (receiptsByPo.get(id) || []).map(receipt => ({
+        ...receipt,
+        items: receiptItems.rows
+          .filter(item => Number(item.grn_id) === Number(receipt.id))
+          .map(item => ({po_item_id: item.po_item_id, quantity_received: parseFloat(item.quantity_received)}))
+      })),
+      invoices: (invoicesByPo.get(id) || []).map(invoice => ({...invoice, invoice_amount: parseFloat(invoice.invoice_amount)}))
+    };
+    po.match = matchPurchaseOrder(po, invoiceItemsByPo.get(id) || [], receivedByItem, raisedByItem);
+    return po;
+  });
+}
+
+// Raise a short_delivery issue for each PO line's shortfall that hasn't been raised yet,
+// valued at the PO price. Issue quantities are whole units, so part units are rounded.
+async function raiseShortDeliveryIssues(client, req, po, dateFound) {
+  const issues = [];
+  for (const line of po.match.lines) {
+    const quantity = Math.round(line.shortfall - line.shortRaised);
+    if (quantity < 1) continue;
+    const result = await client.query(`
+      INSERT INTO issues (
+        vendor_id, product_name, issue_type, quantity, unit_price,
+        estimated_loss, date_found, description, po_item_id, store_id
+      ) VALUES ($1, $2, 'short_delivery', $3, $4, $5, $6, $7, $8, $9) RETURNING *
+    `, [
+      po.vendor_id, line.description || line.sku, quantity, line.unitCost,
+      Math.round(quantity * line.unitCost * 100) / 100, dateFound,
+      `PO ${po.po_number}: ordered ${line.ordered}, received ${line.received}`, line.poItemId, po.store_id
+    ]);
+    await recordAudit(client, req, 'issues', result.rows[0].id, 'create');
+    issues.push(result.rows[0]);
+  }
+  return issues;
+}
+
+app.get('/api/purchase-orders', requirePermission('data:read'), async (req, res) => {
+  try {
+    const vendorId = normalizeField({label: 'Vendor', type: 'integer', positive: true}, req.query.vendorId);
+    const status = normalizeField({label: 'Status', oneOf: PURCHASE_ORDER_STATUSES}, req.query.status);
+    const invalid = collectErrors({vendorId, status});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const purchaseOrders = await fetchPurchaseOrders({query}, {
+      vendorId: vendorId.value, storeId: req.store ? req.store.id : null, status: status.value
+    });
+    res.json({success: true, purchaseOrders});
+  } catch (error) {
+    console.error('❌ Error fetching purchase orders:', error);
+    sendError(res, error, 'fetch purchase orders');
+  }
+});
+
+app.get('/api/purchase-orders/:id', requirePermission('data:read'), requireStoreRecord('purchase_orders'), async (req, res) => {
+  try {
+    const [purchaseOrder] = await fetchPurchaseOrders({query}, {poId: req.params.id});
+    if (!purchaseOrder) {
+      return res.status(404).json({error: 'Purchase order not found'});
+    }
+    res.json({success: true, purchaseOrder});
+  } catch (error) {
+    console.error('❌ Error fetching purchase order:', error);
+    sendError(res, error, 'fetch purchase order');
+  }
+});
+
+app.post('/api/purchase-orders', requirePermission('purchase-orders:write'), async (req, res) => {
+  console.log('📝 POST /api/purchase-orders - Adding purchase order:', req.body.poNumber);
+  try {
+    const insert = buildInsert(req.body, PURCHASE_ORDER_FIELDS);
+    const items = buildPurchaseOrderItems(req.body.items);
+    const header = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (header.expected_date && header.order_date && header.expected_date < header.order_date) {
+      addFieldError(insert, 'expectedDate', 'Expected delivery cannot be before the order date');
+    }
+    const invalid = mergeErrors(insert, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    const columns = [...insert.columns, 'store_id'];
+    const values = [...insert.values, writableStore(req)];
+
+    const poId = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO purchase_orders (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      const row = result.rows[0];
+      await savePurchaseOrderItems(client, row.id, row.vendor_id, items.rows);
+      await recordAudit(client, req, 'purchase_orders', row.id, 'create');
+      return row.id;
+    });
+
+    const [purchaseOrder] = await fetchPurchaseOrders({query}, {poId});
+    console.log(`✅ Purchase order ${purchaseOrder.po_number} added with ${purchaseOrder.items.length} line(s)`);
+    res.json({success: true, purchaseOrder});
+  } catch (error) {
+    console.error('❌ Error in POST /api/purchase-orders:', error);
+    sendError(res, error, 'add purchase order');
+  }
+});
+
+// Lines can be changed until the first delivery is received against them
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const update = buildUpdate(req.body, PURCHASE_ORDER_FIELDS);
+    const items = req.body.items === undefined ? null : buildPurchaseOrderItems(req.body.items);
+    if ('vendorId' in req.body) {
+      addFieldError(update, 'vendorId', 'The vendor of a purchase order cannot be changed');
+    }
+    const invalid = mergeErrors(update, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    if (update.sets.length === 0 && !items) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const updated = await updateRecord(req, 'purchase_orders', req.params.id, update, [], async (client, row) => {
+      if (!items) return;
+      const receipts = await client.query('SELECT COUNT(*) AS count FROM goods_receipts WHERE po_id = $1', [row.id]);
+      if (Number(receipts.rows[0].count) > 0) {
+        throw Object.assign(new Error('Goods have been received against this purchase order; its lines can no longer be changed'), {status: 409});
+      }
+      await savePurchaseOrderItems(client, row.id, row.vendor_id, items.rows);
+    });
+    if (!updated) {
+      return res.status(404).json({error: 'Purchase order not found'});
+    }
+
+    const [purchaseOrder] = await fetchPurchaseOrders({query}, {poId: updated.id});
+    res.json({success: true, purchaseOrder});
+  } catch (error) {
+    console.error('❌ Error updating purchase order:', error);
+    sendError(res, error, 'update purchase order');
+  }
+};
+app.put('/api/purchase-orders/:id', requirePermission('purchase-orders:write'), requireStoreRecord('purchase_orders'), updatePurchaseOrder);
+app.patch('/api/purchase-orders/:id', requirePermission('purchase-orders:write'), requireStoreRecord('purchase_orders'), updatePurchaseOrder);
+
+// Only a purchase order with nothing received or invoiced against it can be deleted; otherwise cancel or close it
+app.delete('/api/purchase-orders/:id', requirePermission('purchase-orders:write'), requireStoreRecord('purchase_orders'), async (req, res) => {
+  try {
+    const poId = req.params.id;
+    const deleted = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'purchase_orders', poId, true);
+      if (!before) return false;
+      const receipts = await client.query('SELECT COUNT(*) AS count FROM goods_receipts WHERE po_id = $1', [poId]);
+      const invoices = await client.query('SELECT COUNT(*) AS count FROM invoices WHERE po_id = $1', [poId]);
+      if (Number(receipts.rows[0].count) > 0 || Number(invoices.rows[0].count) > 0) {
+        throw Object.assign(new Error('Goods or invoices are recorded against this purchase order; cancel or close it instead'), {status: 409});
+      }
+      await client.query('DELETE FROM purchase_orders WHERE id = $1', [poId]);
+      await recordAudit(client, req, 'purchase_orders', poId, 'delete', before);
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({error: 'Purchase order not found'});
+    }
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error deleting purchase order:', error);
+    sendError(res, error, 'delete purchase order');
+  }
+});
+
+// Record a goods received note against an open PO. With raiseShortDeliveries the delivery
+// is taken as final and whatever is still missing is raised as short_delivery issues.
+app.post('/api/purchase-orders/:id/receipts', requirePermission('goods-receipts:write'), requireStoreRecord('purchase_orders'), async (req, res) => {
+  console.log('📝 POST /api/purchase-orders/:id/receipts - Receiving goods on PO:', req.params.id);
+  try {
+    const insert = buildInsert(req.body, GOODS_RECEIPT_FIELDS);
+    const items = buildGoodsReceiptItems(req.body.items);
+    const raiseShort = normalizeField({label: 'Raise short deliveries', type: 'boolean', default: false}, req.body.raiseShortDeliveries);
+    if (raiseShort.error) addFieldError(insert, 'raiseShortDeliveries', raiseShort.error);
+    const invalid = mergeErrors(insert, items);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const result = await withTransaction(async (client) => {
+      const [po] = await fetchPurchaseOrders(client, {poId: req.params.id, lock: true});
+      if (!po) return null;
+      if (po.status !== 'open') {
+        throw Object.assign(new Error(`Purchase order ${po.po_number} is ${po.status}`), {status: 409});
+      }
+      const poItemIds = new Set(po.items.map(item => Number(item.id)));
+      const lineErrors = [];
+      items.rows.forEach((row, index) => {
+        if (!poItemIds.has(row.po_item_id)) lineErrors.push(`Line ${index + 1}: Not a line of purchase order ${po.po_number}`);
+      });
+      if (lineErrors.length > 0) {
+        throw validationError(lineErrors);
+      }
+
+      const columns = ['po_id', ...insert.columns];
+      const receiptResult = await client.query(
+        `INSERT INTO goods_receipts (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [po.id, ...insert.values]
+      );
+      const receipt = receiptResult.rows[0];
+      for (const row of items.rows) {
+        await client.query(
+          'INSERT INTO goods_receipt_items (grn_id, po_item_id, quantity_received) VALUES ($1, $2, $3)',
+          [receipt.id, row.po_item_id, row.quantity_received]
+        );
+      }
+      await recordAudit(client, req, 'goods_receipts', receipt.id, 'create');
+
+      let issues = [];
+      if (raiseShort.value) {
+        const [received] = await fetchPurchaseOrders(client, {poId: po.id});
+        issues = await raiseShortDeliveryIssues(client, req, received, insert.values[insert.columns.indexOf('received_date')]);
+      }
+      return {receipt, issues};
+    });
+
+    if (!result) {
+      return res.status(404).json({error: 'Purchase order not found'});
+    }
+    const [purchaseOrder] = await fetchPurchaseOrders({query}, {poId: req.params.id});
+    console.log(`✅ GRN ${result.receipt.grn_number} recorded on PO ${purchaseOrder.po_number}; ${result.issues.length} short-delivery issue(s) raised`);
+    res.json({success: true, ...result, purchaseOrder});
+  } catch (error) {
+    console.error('❌ Error in POST /api/purchase-orders/:id/receipts:', error);
+    sendError(res, error, 'record goods receipt');
+  }
+});
+
+// Raise short_delivery issues for what is still missing on a PO, e.g. once the vendor
+// confirms the rest isn't coming. Quantities raised before are not raised again.
+app.post('/api/purchase-orders/:id/short-deliveries', requirePermission('issues:write'), requireStoreRecord('purchase_orders'), async (req, res) => {
+  try {
+    const {value: dateFound, error} = normalizeField({label: 'Date found', type: 'date', default: localDateString(new Date())}, req.body.dateFound);
+    if (error) {
+      return sendValidationErrors(res, {errors: [error], fields: {dateFound: error}});
+    }
+
+    const issues = await withTransaction(async (client) => {
+      const [po] = await fetchPurchaseOrders(client, {poId: req.params.id, lock: true});
+      if (!po) return null;
+      if (po.receipts.length === 0) {
+        throw Object.assign(new Error('Nothing has been received against this purchase order yet'), {status: 409});
+      }
+      return raiseShortDeliveryIssues(client, req, po, dateFound);
+    });
+
+    if (!issues) {
+      return res.status(404).json({error: 'Purchase order not found'});
+    }
+    console.log(`✅ ${issues.length} short-delivery issue(s) raised on PO ${req.params.id}`);
+    res.json({success: true, issues});
+  } catch (error) {
+    console.error('❌ Error raising short-delivery issues:', error);
+    sendError(res, error, 'raise short-delivery issues');
+  }
+});
+
+// ===== Payment runs =====
+
+// Proposal order. Advance-terms vendors are paid before they deliver again, so their
+// invoices are payable as soon as they arrive even if credit days are on record.
+const PAYMENT_RUN_REASONS = ['overdue', 'advance', 'due_soon'];
+
+// The cheque `offset` leaves after `first` in the same book, keeping any prefix and zero padding
+function chequeNumberAt(first, offset) {
+  const [, prefix, digits] = /^(.*?)(\d+)$/.exec(first);
+  return prefix + String(parseInt(digits, 10) + offset).padStart(digits.length, '0');
+}
+
+// Validate the lines of a payment run; each invoice may appear once
+function buildPaymentRunLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return {rows: [], errors: ['Add at least one invoice to the payment run'], fields: {}};
+  }
+
+  const rows = [];
+  const errors = [];
+  const fields = {};
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const insert = buildInsert(line || {}, PAYMENT_RUN_LINE_FIELDS);
+    if (insert.errors.length > 0) {
+      addLineErrors({errors, fields}, 'lines', index, `Line ${index + 1}`, insert.fields);
+      return;
+    }
+    const row = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (seen.has(row.invoice_id)) {
+      errors.push(`Line ${index + 1}: Invoice is already in this payment run`);
+      return;
+    }
+    seen.add(row.invoice_id);
+    rows.push(row);
+  });
+  return {rows, errors, fields};
+}
+
+// Propose which invoices to pay on payDate out of a cash budget: overdue invoices first
+// (longest overdue first), then advance-terms invoices, then invoices falling due within
+// dueWithin days, soonest first. Whole invoices are taken while the budget lasts;
+// the rest are returned as deferred so the accountant can swap them in.
+app.get('/api/payment-runs/proposal', requirePermission('data:read'), async (req, res) => {
+  try {
+    const budget = normalizeField({label: 'Budget', type: 'number', min: 0, required: true}, req.query.budget);
+    const payDate = normalizeField({label: 'Pay date', type: 'date', default: localDateString(new Date())}, req.query.payDate);
+    const dueWithin = normalizeField({label: 'Due within', type: 'integer', min: 0, default: 7}, req.query.dueWithin);
+    const invalid = collectErrors({budget, payDate, dueWithin});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const candidates = [];
+    (await fetchUnpaidInvoices({query}, null, {storeId: req.store ? req.store.id : null})).forEach(invoice => {
+      if (invoice.unpaid <= 0 || invoice.invoiceDate > payDate.value) return;
+
+      const daysPastDue = daysBetween(invoice.dueDate, payDate.value);
+      let reason = null;
+      if (daysPastDue > 0) reason = 'overdue';
+      else if (invoice.paymentTerms === 'advance') reason = 'advance';
+      else if (-daysPastDue <= dueWithin.value) reason = 'due_soon';
+      if (reason) candidates.push({...invoice, reason, daysPastDue});
+    });
+    candidates.sort((a, b) =>
+      PAYMENT_RUN_REASONS.indexOf(a.reason) - PAYMENT_RUN_REASONS.indexOf(b.reason) ||
+      a.dueDate.localeCompare(b.dueDate) ||
+      a.invoiceDate.localeCompare(b.invoiceDate) ||
+      a.id - b.id
+    );
+
+    let remaining = budget.value;
+    const proposed = [];
+    const deferred = [];
+    candidates.forEach(invoice => {
+      if (invoice.unpaid <= remaining) {
+        proposed.push({...invoice, amount: invoice.unpaid});
+        remaining = Math.round((remaining - invoice.unpaid) * 100) / 100;
+      } else {
+        deferred.push({...invoice, amount: 0});
+      }
+    });
+
+    res.json({
+      success: true,
+      payDate: payDate.value,
+      budget: budget.value,
+      dueWithin: dueWithin.value,
+      proposed,
+      deferred,
+      totalProposed: Math.round((budget.value - remaining) * 100) / 100,
+      remainingBudget: remaining
+    });
+  } catch (error) {
+    console.error('❌ Error proposing payment run:', error);
+    sendError(res, error, 'propose payment run');
+  }
+});
+
+// Commit a payment run for the request's store: one payment per invoice, all in one
+// transaction. Cheques are numbered on from firstChequeNumber in line order and start out issued.
+// Send an Idempotency-Key header to make resubmits safe.
+app.post('/api/payment-runs', requirePermission('payments:write'), async (req, res) => {
+  console.log('📝 POST /api/payment-runs - Committing payment run on:', req.body.payDate);
+  try {
+    const header = buildInsert(req.body, PAYMENT_RUN_FIELDS);
+    const lines = buildPaymentRunLines(req.body.lines);
+    const chequeDate = normalizeField({label: 'Cheque date', type: 'date'}, req.body.chequeDate);
+    const firstCheque = normalizeField({label: 'First cheque number', maxLength: 100}, req.body.firstChequeNumber);
+    const chequeFields = collectErrors({chequeDate, firstChequeNumber: firstCheque});
+    if (firstCheque.value && !/\d$/.test(firstCheque.value)) {
+      addFieldError(chequeFields, 'firstChequeNumber', 'First cheque number must end in digits so the next cheques can be numbered');
+    }
+    const total = Math.round(lines.rows.reduce((sum, row) => sum + row.payment_amount, 0) * 100) / 100;
+    const budget = header.values[header.columns.indexOf('budget')];
+    if (budget != null && total > budget) {
+      addFieldError(header, 'budget', `Payment run total ₹${total} is over the budget of ₹${budget}`);
+    }
+    const invalid = mergeErrors(header, chequeFields, lines);
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const payDate = header.values[header.columns.indexOf('run_date')];
+    const isCheque = req.body.paymentMethod === 'cheque';
+    const storeId = writableStore(req);
+    const {body, replayed} = await idempotentTransaction(req, async (client) => {
+      // Lock in id order so two runs over the same invoices can't deadlock
+      const invoiceIds = lines.rows.map(row => row.invoice_id).sort((a, b) => a - b);
+      await client.query(
+        `SELECT id FROM invoices WHERE id IN (${invoiceIds.map((_, i) => `$${i + 1}`).join(', ')}) ORDER BY id FOR UPDATE`,
+        invoiceIds
+      );
+      const invoices = new Map((await fetchUnpaidInvoices(client, invoiceIds)).map(invoice => [Number(invoice.id), invoice]));
+      const lineErrors = [];
+      lines.rows.forEach((row, index) => {
+        const invoice = invoices.get(row.invoice_id);
+        if (!invoice) {
+          lineErrors.push(`Line ${index + 1}: Invoice not found`);
+        } else if (String(invoice.storeId) !== String(storeId)) {
+          lineErrors.push(`Line ${index + 1}: Invoice ${invoice.invoiceNumber} belongs to another store`);
+        } else if (row.payment_amount > invoice.unpaid) {
+          lineErrors.push(`Line ${index + 1}: Only ₹${invoice.unpaid} is unpaid on invoice ${invoice.invoiceNumber}`);
+        }
+      });
+      if (lineErrors.length > 0) {
+        throw validationError(lineErrors);
+      }
+
+      const columns = [...header.columns, 'total_amount', 'payment_count', 'created_by', 'store_id'];
+      const runResult = await client.query(
+        `INSERT INTO payment_runs (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [...header.values, total, lines.rows.length, req.user.username, storeId]
+      );
+      const row = runResult.rows[0];
+      await recordAudit(client, req, 'payment_runs', row.id, 'create');
+
+      row.payments = [];
+      for (const [index, line] of lines.rows.entries()) {
+        const paymentResult = await client.query(`
+          INSERT INTO invoice_payments (
+            invoice_id, payment_date, payment_amount, payment_method, cheque_number, cheque_date,
+            payment_notes, cheque_status, cheque_status_date, payment_run_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *
+        `, [
+          line.invoice_id, payDate, line.payment_amount, row.payment_method,
+          isCheque && firstCheque.value ? chequeNumberAt(firstCheque.value, index) : null,
+          isCheque ? chequeDate.value || payDate : null,
+          `Payment run #${row.id}`,
+          isCheque ? 'issued' : null,
+          isCheque ? payDate : null,
+          row.id
+        ]);
+        await recordAudit(client, req, 'invoice_payments', paymentResult.rows[0].id, 'create');
+        row.payments.push(paymentResult.rows[0]);
+      }
+      return {success: true, run: row};
+    });
+
+    console.log(`✅ Payment run ${body.run.id} ${replayed ? 'already committed' : `committed: ${body.run.payments.length} payment(s), ₹${total}`}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(body);
+  } catch (error) {
+    console.error('❌ Error in POST /api/payment-runs:', error);
+    sendError(res, error, 'commit payment run');
+  }
+});
+
+// ===== Display rent =====
+
+// Contracts with whether they are running today
+app.get('/api/display-contracts', requirePermission('data:read'), async (req, res) => {
+  try {
+    const today = localDateString(new Date());
+    const result = await query(`
+      SELECT c.id, c.vendor_id, v.name AS vendor_name, c.store_id, st.name AS store_name,
+             c.location, c.shelf, c.monthly_rent, c.notes,
+             to_char(c.start_date, 'YYYY-MM-DD') AS start_date,
+             to_char(c.end_date, 'YYYY-MM-DD') AS end_date
+      FROM display_contracts c
+      JOIN vendors v ON v.id = c.vendor_id
+      JOIN stores st ON st.id = c.store_id
+      WHERE ${storeScope(req, 'c.store_id')}
+      ORDER BY v.name, c.start_date, c.id
+    `);
+    const contracts = result.rows.map(row => ({
+      ...row,
+      monthly_rent: parseFloat(row.monthly_rent),
+      active: row.start_date <= today && (!row.end_date || row.end_date >= today)
+    }));
+    res.json({success: true, today, contracts});
+  } catch (error) {
+    console.error('❌ Error fetching display contracts:', error);
+    sendError(res, error, 'fetch display contracts');
+  }
+});
+
+app.post('/api/display-contracts', requirePermission('rent:write'), async (req, res) => {
+  try {
+    const insert = buildInsert(req.body, CONTRACT_FIELDS);
+    const contract = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+    if (contract.end_date && contract.start_date && contract.end_date < contract.start_date) {
+      addFieldError(insert, 'endDate', 'End date cannot be before the start date');
+    }
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    const columns = [...insert.columns, 'store_id'];
+    const values = [...insert.values, writableStore(req)];
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO display_contracts (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      await recordAudit(client, req, 'display_contracts', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    console.log(`✅ Display contract added. ID: ${created.id}`);
+    res.json({success: true, contract: created});
+  } catch (error) {
+    console.error('❌ Error adding display contract:', error);
+    sendError(res, error, 'add display contract');
+  }
+});
+
+// Rent already charged stays as it is; a changed rent applies from the next charge
+const updateContract = async (req, res) => {
+  try {
+    const update = buildUpdate(req.body, CONTRACT_FIELDS);
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const contract = await updateRecord(req, 'display_contracts', req.params.id, update);
+    if (!contract) {
+      return res.status(404).json({error: 'Display contract not found'});
+    }
+    res.json({success: true, contract});
+  } catch (error) {
+    console.error('❌ Error updating display contract:', error);
+    sendError(res, error, 'update display contract');
+  }
+};
+app.put('/api/display-contracts/:id', requirePermission('rent:write'), requireStoreRecord('display_contracts'), updateContract);
+app.patch('/api/display-contracts/:id', requirePermission('rent:write'), requireStoreRecord('display_contracts'), updateContract);
+
+// Only a contract that was never charged can be deleted; otherwise give it an end date
+app.delete('/api/display-contracts/:id', requirePermission('rent:write'), requireStoreRecord('display_contracts'), async (req, res) => {
+  try {
+    const contractId = req.params.id;
+    const deleted = await withTransaction(async (client) => {
+      const before = await auditSnapshot(client, 'display_contracts', contractId, true);
+      if (!before) return false;
+      const charges = await client.query('SELECT COUNT(*) AS count FROM rent_charges WHERE contract_id = $1', [contractId]);
+      if (Number(charges.rows[0].count) > 0) {
+        throw Object.assign(new Error('Rent has already been charged on this contract; set an end date instead'), {status: 409});
+      }
+      await client.query('DELETE FROM display_contracts WHERE id = $1', [contractId]);
+      await recordAudit(client, req, 'display_contracts', contractId, 'delete', before);
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({error: 'Display contract not found'});
+    }
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error deleting display contract:', error);
+    sendError(res, error, 'delete display contract');
+  }
+});
+
+// Charge a month's rent on every contract of the store (or of every store) running at any
+// point in that month. Contracts already charged for the month are skipped, so this is safe to run again.
+app.post('/api/rent/generate', requirePermission('rent:write'), async (req, res) => {
+  try {
+    const month = req.body.month || localDateString(new Date()).slice(0, 7);
+    const range = monthRange(month);
+    if (!range) {
+      return sendValidationErrors(res, {errors: ['Month must be in YYYY-MM format'], fields: {month: 'Month must be in YYYY-MM format'}});
+    }
+    const dueDate = `${month}-${String(RENT_DUE_DAY).padStart(2, '0')}`;
+
+    const created = await withTransaction(async (client) => {
+      const contracts = await client.query(`
+        SELECT c.id, c.vendor_id, c.store_id, c.monthly_rent
+        FROM display_contracts c
+        LEFT JOIN rent_charges r ON r.contract_id = c.id AND r.period_month = $1
+        WHERE c.start_date <= $2 AND (c.end_date IS NULL OR c.end_date >= $1) AND r.id IS NULL
+          AND ${storeScope(req, 'c.store_id')}
+        ORDER BY c.id
+      `, [range.from, range.to]);
+
+      const charges = [];
+      for (const contract of contracts.rows) {
+        const result = await client.query(`
+          INSERT INTO rent_charges (contract_id, vendor_id, store_id, period_month, amount, due_date)
+          VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+        `, [contract.id, contract.vendor_id, contract.store_id, range.from, contract.monthly_rent, dueDate]);
+        await recordAudit(client, req, 'rent_charges', result.rows[0].id, 'create');
+        charges.push(result.rows[0]);
+      }
+      return charges;
+    });
+
+    console.log(`✅ Rent for ${month}: ${created.length} charge(s) created`);
+    res.json({success: true, month, created: created.length, charges: created});
+  } catch (error) {
+    console.error('❌ Error generating rent charges:', error);
+    sendError(res, error, 'generate rent charges');
+  }
+});
+
+// Rent charges with what has been received against each. Dates come back as 'YYYY-MM-DD' text.
+async function fetchRentCharges(db, {vendorId = null, storeId = null, chargeId = null, asOf = null, lock = false} = {}) {
+  const conditions = [];
+  const values = [];
+  if (vendorId) {
+    values.push(vendorId);
+    conditions.push(`r.vendor_id = $${values.length}`);
+  }
+  if (storeId) {
+    values.push(storeId);
+    conditions.push(`r.store_id = $${values.length}`);
+  }
+  if (chargeId) {
+    values.push(chargeId);
+    conditions.push(`r.id = $${values.length}`);
+  }
+  if (asOf) {
+    values.push(asOf);
+    conditions.push(`r.period_month <= $${values.length}`);
+  }
+  const receiptDateFilter = asOf ? `WHERE receipt_date <= $${values.length}` : '';
+
+  const result = await db.query(`
+    SELECT r.id, r.contract_id, r.vendor_id, v.name AS vendor_name, r.store_id, c.location, c.shelf, r.amount,
+           to_char(r.period_month, 'YYYY-MM') AS month,
+           to_char(r.due_date, 'YYYY-MM-DD') AS due_date,
+           COALESCE(p.received, 0) AS received
+    FROM rent_charges r
+    JOIN display_contracts c ON c.id = r.contract_id
+    JOIN vendors v ON v.id = r.vendor_id
+    LEFT JOIN (
+      SELECT charge_id, SUM(amount) AS received FROM rent_receipts ${receiptDateFilter} GROUP BY charge_id
+    ) p ON p.charge_id = r.id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY v.name, r.period_month, r.id
+    ${lock ? 'FOR UPDATE OF r' : ''}
+  `, values);
+
+  return result.rows.map(row => {
+    const amount = parseFloat(row.amount);
+    const received = parseFloat(row.received);
+    return {
+      id: row.id,
+      contractId: row.contract_id,
+      vendorId: row.vendor_id,
+      vendorName: row.vendor_name,
+      storeId: row.store_id,
+      location: row.location,
+      shelf: row.shelf || '',
+      month: row.month,
+      dueDate: row.due_date,
+      amount,
+      received,
+      balance: Math.round((amount - received) * 100) / 100
+    };
+  });
+}
+
+app.get('/api/rent/charges', requirePermission('data:read'), async (req, res) => {
+  try {
+    const status = normalizeField({label: 'Status', oneOf: ['open', 'all'], default: 'open'}, req.query.status);
+    const vendorId = normalizeField({label: 'Vendor', type: 'integer', positive: true}, req.query.vendorId);
+    const invalid = collectErrors({status, vendorId});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+
+    const charges = (await fetchRentCharges({query}, {vendorId: vendorId.value, storeId: req.store ? req.store.id : null}))
+      .filter(charge => status.value === 'all' || charge.balance > 0);
+    res.json({success: true, today: localDateString(new Date()), charges});
+  } catch (error) {
+    console.error('❌ Error fetching rent charges:', error);
+    sendError(res, error, 'fetch rent charges');
+  }
+});
+
+// Lock a rent charge and check an amount can be received against it
+async function lockRentCharge(client, chargeId, amount) {
+  const [charge] = await fetchRentCharges(client, {chargeId, lock: true});
+  if (!charge) return null;
+  if (amount > charge.balance) {
+    const message = `Only ₹${charge.balance} of the ${charge.month} rent is still due`;
+    throw validationError([message], {amount: message});
+  }
+  return charge;
+}
+
+// Record rent received from the vendor
+app.post('/api/rent/charges/:id/receipts', requirePermission('rent:write'), requireStoreRecord('rent_charges'), async (req, res) => {
+  try {
+    const insert = buildInsert(req.body, RENT_RECEIPT_FIELDS);
+    if (insert.errors.length > 0) {
+      return sendValidationErrors(res, insert);
+    }
+    const amount = insert.values[insert.columns.indexOf('amount')];
+    writableStore(req);
+
+    const receipt = await withTransaction(async (client) => {
+      const charge = await lockRentCharge(client, req.params.id, amount);
+      if (!charge) return null;
+      const columns = ['charge_id', 'vendor_id', 'store_id', ...insert.columns];
+      const result = await client.query(
+        `INSERT INTO rent_receipts (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [charge.id, charge.vendorId, charge.storeId, ...insert.values]
+      );
+      await recordAudit(client, req, 'rent_receipts', result.rows[0].id, 'create');
+      return result.rows[0];
+    });
+
+    if (!receipt) {
+      return res.status(404).json({error: 'Rent charge not found'});
+    }
+    res.json({success: true, receipt});
+  } catch (error) {
+    console.error('❌ Error recording rent receipt:', error);
+    sendError(res, error, 'record rent receipt');
+  }
+});
+
+// Net rent off against what we owe the same vendor: the rent is marked received and
+// the invoice gets a 'set_off' payment of the same amount, both in one transaction.
+// Send an Idempotency-Key header to make resubmits safe.
+app.post('/api/rent/charges/:id/set-off', requirePermission('rent:write'), requireStoreRecord('rent_charges'), async (req, res) => {
+  try {
+    const invoiceId = normalizeField({label: 'Invoice', type: 'integer', positive: true, required: true}, req.body.invoiceId);
+    const amount = normalizeField({label: 'Amount', type: 'number', positive: true, required: true}, req.body.amount);
+    const date = normalizeField({label: 'Date', type: 'date', default: localDateString(new Date())}, req.body.date);
+    const invalid = collectErrors({invoiceId, amount, date});
+    if (invalid.errors.length > 0) {
+      return sendValidationErrors(res, invalid);
+    }
+    writableStore(req);
+
+    const {body, replayed} = await idempotentTransaction(req, async (client) => {
+      const charge = await lockRentCharge(client, req.params.id, amount.value);
+      if (!charge) return null;
+
+      await client.query('SELECT id FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId.value]);
+      const [invoice] = await fetchUnpaidInvoices(client, [invoiceId.value]);
+      if (!invoice || Number(invoice.vendorId) !== Number(charge.vendorId)) {
+        throw validationError(['Choose an invoice from the same vendor'], {invoiceId: 'Choose an invoice from the same vendor'});
+      }
+      if (Number(invoice.storeId) !== Number(charge.storeId)) {
+        throw validationError(['Choose an invoice of the store the display is in'], {invoiceId: 'Choose an invoice of the store the display is in'});
+      }
+      if (amount.value > invoice.unpaid) {
+        const message = `Only ₹${invoice.unpaid} is unpaid on invoice ${invoice.invoiceNumber}`;
+        throw validationError([message], {amount: message});
+      }
+
+      const notes = `Display rent ${charge.month} set off`;
+      const payment = await client.query(`
+        INSERT INTO invoice_payments (invoice_id, payment_date, payment_amount, payment_method, payment_notes)
+        VALUES ($1, $2, $3, 'set_off', $4) RETURNING *
+      `, [invoice.id, date.value, amount.value, notes]);
+      await recordAudit(client, req, 'invoice_payments', payment.rows[0].id, 'create');
+
+      const receipt = await client.query(`
+        INSERT INTO rent_receipts (charge_id, vendor_id, store_id, receipt_date, amount, payment_method, reference, invoice_payment_id, notes)
+        VALUES ($1, $2, $3, $4, $5, 'set_off', $6, $7, $8) RETURNING *
+      `, [charge.id, charge.vendorId, charge.storeId, date.value, amount.value, invoice.invoiceNumber, payment.rows[0].id, notes]);
+      await recordAudit(client, req, 'rent_receipts', receipt.rows[0].id, 'create');
+      return {success: true, receipt: receipt.rows[0], payment: payment.rows[0]};
+    });
+
+    if (!body) {
+      return res.status(404).json({error: 'Rent charge not found'});
+    }
+    console.log(`✅ Rent charge ${req.params.id} ${replayed ? 'already set off' : 'set off'} against invoice ${invoiceId.value}`);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(body);
+  } catch (error) {
+    console.error('❌ Error setting off rent:', error);
+    sendError(res, error, 'set off rent');
+  }
+});
+
+// Uncollected rent per vendor as of a date, next to what we owe them on invoices.
+// Net payable is what would be left to pay if the rent were set off.
+app.get('/api/reports/rent', requirePermission('data:read'), async (req, res) => {
+  try {
+    const {value: asOf, error} = normalizeField({label: 'As-of date', type: 'date', default: localDateString(new Date())}, req.query.asOf);
+    if (error) {
+      return sendValidationErrors(res, {errors: [error], fields: {asOf: error}});
+    }
+
+    const storeId = req.store ? req.store.id : null;
+    const [charges, invoices] = await Promise.all([
+      fetchRentCharges({query}, {asOf, storeId}),
+      fetchInvoiceBalances(asOf, {storeId})
+    ]);
+
+    const vendorsById = new Map();
+    const vendorRow = (vendorId, vendorName) => {
+      if (!vendorsById.has(vendorId)) {
+        vendorsById.set(vendorId, {vendorId, vendorName, charged: 0, received: 0, uncollected: 0, overdue: 0, payable: 0, netPayable: 0});
+      }
+      return vendorsById.get(vendorId);
+    };
+    const round = value => Math.round(value * 100) / 100;
+
+    charges.forEach(charge => {
+      const row = vendorRow(charge.vendorId, charge.vendorName);
+      row.charged = round(row.charged + charge.amount);
+      row.received = round(row.received + charge.received);
+      row.uncollected = round(row.uncollected + charge.balance);
+      if (charge.dueDate < asOf) row.overdue = round(row.overdue + charge.balance);
+    });
+    // Only vendors with rent charged are listed; their payables show what rent could be set off against
+    invoices.forEach(invoice => {
+      if (invoice.outstanding > 0 && vendorsById.has(invoice.vendorId)) {
+        const row = vendorsById.get(invoice.vendorId);
+        row.payable = round(row.payable + invoice.outstanding);
+      }
+    });
+
+    const vendors = [...vendorsById.values()]
+      .map(row => ({...row, netPayable: round(row.payable - row.uncollected)}))
+      .filter(row => row.uncollected > 0 || row.charged > 0);
+    const totals = ['charged', 'received', 'uncollected', 'overdue', 'payable', 'netPayable']
+      .reduce((sum, key) => ({...sum, [key]: round(vendors.reduce((total, row) => total + row[key], 0))}), {});
+
+    res.json({success: true, asOf, totals, vendors, charges: charges.filter(charge => charge.balance > 0)});
+  } catch (error) {
+    console.error('❌ Error building rent report:', error);
+    sendError(res, error, 'build rent report');
+  }
+});
+
+// ===== Reminders & notifications =====
+// Once a day, from the digest hour in the settings (BUSINESS_TIMEZONE), what needs attention is
+// gathered into a digest: unpaid invoices coming due, issued cheques about to be cashed,
+// vendor visits due or missed and issues left open too long. The app shows the digest,
+// and notification_outbox holds one message per channel and recipient, retried with
+// backoff until it is sent or runs out of attempts. A long-running server checks every
+// few minutes; serverless deployments call /api/notifications/cron instead.
+
+const NOTIFICATION_CHECK_MINUTES = 15;
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+const NOTIFICATION_RETRY_MINUTES = 5; // doubled after every failed attempt
+const NOTIFICATION_SEND_TIMEOUT_MS = 15000;
+const NOTIFICATION_PANEL_DAYS = 14;
+
+// 'YYYY-MM-DD' as DD/MM/YYYY for messages
+const displayDate = date => date.split('-').reverse().join('/');
+
+// Digest sections in the order they are shown. `windows` are the day counts the digest
+// was built with, so old digests keep their own headings after the settings change.
+const DIGEST_SECTIONS = [
+  {
+    key: 'invoicesDue',
+    title: windows => `Invoices due in the next ${windows.invoiceDueDays} days`,
+    line: item => `${item.vendorName} invoice ${item.invoiceNumber}: ₹${item.amountDue.toFixed(2)} due ${displayDate(item.dueDate)}`
+  },
+  {
+    key: 'chequesMaturing',
+    title: windows => `Cheques dated in the next ${windows.chequeDueDays} days`,
+    line: item => `Cheque ${item.chequeNumber || '(no number)'} to ${item.vendorName}: ₹${item.amount.toFixed(2)} dated ${displayDate(item.chequeDate)}, keep funds in the bank`
+  },
+  {
+    key: 'visitsDue',
+    title: () => 'Vendor visits due',
+    line: item => `${item.vendorName}${item.daysOverdue > 0 ? `: missed, ${item.daysOverdue} days overdue` : ': due today'}${item.phone ? ` (${item.phone})` : ''}`
+  },
+  {
+    key: 'issuesPending',
+    title: windows => `Issues open for more than ${windows.issuePendingDays} days`,
+    line: item => `${item.vendorName || 'No vendor'}: ${item.productName}, ${item.status.replace(/_/g, ' ')} for ${item.daysOpen} days`
+  }
+];
+
+// Ways a digest goes out. Credentials come from the environment rather than the database;
+// who receives it is in notification_settings. To test, point SMTP_HOST/SMTP_PORT or
+// NOTIFY_WEBHOOK_URL at a local stub such as MailHog or a request bin.
+const NOTIFICATION_CHANNELS = {
+  email: {
+    label: 'Email',
+    requirement: 'SMTP_HOST',
+    configured: () => Boolean(process.env.SMTP_HOST),
+    recipients: {key: 'emailRecipients', column: 'email_recipients', label: 'Email recipients',
+      valid: recipient => !normalizeField({label: 'Email', type: 'email'}, recipient).error},
+    send: sendSmtpMail
+  },
+  message: {
+    label: 'WhatsApp/SMS',
+    requirement: 'NOTIFY_WEBHOOK_URL',
+    configured: () => Boolean(process.env.NOTIFY_WEBHOOK_URL),
+    recipients: {key: 'messageRecipients', column: 'message_recipients', label: 'WhatsApp/SMS numbers',
+      valid: recipient => /^\+?[0-9][0-9 -]{5,19}$/.test(recipient)},
+    send: postNotificationWebhook
+  }
+};
+
+// SMTP replies on a socket, one {code, lines} per read(). detach() stops reading before
+// the socket is handed over to TLS.
+function smtpReplies(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+    while (failure && waiting.length > 0) waiting.shift().reject(failure);
+  };
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line.charAt(3) !== '-') {
+        replies.push({code: parseInt(line.slice(0, 3), 10), lines});
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = error => {
+    failure = failure || error;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+  socket.on('data', onData).on('error', onError).on('close', onClose);
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting.push({resolve, reject});
+      settle();
+    }),
+    detach: () => socket.off('data', onData).off('close', onClose)
+  };
+}
+
+// A plain-text message, base64 encoded so ₹ and names in any script survive any relay
+function smtpMessage(from, to, subject, text) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}(?=.)/g, '$&\r\n')
+  ].join('\r\n');
+}
+
+// Hand one message to the SMTP server in SMTP_HOST. SMTP_SECURE=true connects over TLS
+// (port 465 by default); otherwise STARTTLS is used when the server offers it. SMTP_USER
+// and SMTP_PASSWORD log in if set; SMTP_FROM is the sender (default SMTP_USER).
+async function sendSmtpMail(recipient, {subject, text}) {
+  const host = process.env.SMTP_HOST;
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587);
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!from) throw new Error('Set SMTP_FROM (or SMTP_USER) to the sender address');
+
+  const withTimeout = socket => socket.setTimeout(NOTIFICATION_SEND_TIMEOUT_MS, () => {
+    socket.destroy(new Error(`SMTP server ${host}:${port} did not answer in time`));
+  });
+  let socket = secure ? tls.connect({host, port, servername: host}) : net.connect({host, port});
+  withTimeout(socket);
+  let replies = smtpReplies(socket);
+
+  // Send a command (none for the greeting) and check the class of the reply
+  const command = async (line, expectedClass) => {
+    if (line) socket.write(`${line}\r\n`);
+    const reply = await replies.read();
+    if (Math.floor(reply.code / 100) !== expectedClass) {
+      throw new Error(`SMTP server refused ${line ? line.split(' ')[0] : 'the connection'}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, 2);
+    const hello = await command(`EHLO ${os.hostname()}`, 2);
+    if (!secure && hello.lines.some(line => /^\d{3}[ -]STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', 2);
+      replies.detach();
+      socket = tls.connect({socket, servername: host});
+      withTimeout(socket);
+      replies = smtpReplies(socket);
+      await command(`EHLO ${os.hostname()}`, 2);
+    }
+    if (process.env.SMTP_USER) {
+      const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASSWORD || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, 2);
+    }
+    await command(`MAIL FROM:<${from}>`, 2);
+    await command(`RCPT TO:<${recipient}>`, 2);
+    await command('DATA', 3);
+    await command(`${smtpMessage(from, recipient, subject, text)}\r\n.`, 2);
+    await command('QUIT', 2);
+  } finally {
+    socket.destroy();
+  }
+}
+
+// WhatsApp/SMS through whichever gateway sits behind NOTIFY_WEBHOOK_URL. It is posted
+// {to, subject, text} as JSON, with NOTIFY_WEBHOOK_TOKEN as a bearer token if set.
+async function postNotificationWebhook(recipient, {subject, text}) {
+  const headers = {'Content-Type': 'application/json'};
+  if (process.env.NOTIFY_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${process.env.NOTIFY_WEBHOOK_TOKEN}`;
+  const response = await fetch(process.env.NOTIFY_WEBHOOK_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({to: recipient, subject, text}),
+    signal: AbortSignal.timeout(NOTIFICATION_SEND_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`Webhook answered ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+async function fetchNotificationSettings() {
+  const result = await query('SELECT * FROM notification_settings WHERE id = 1');
+  return result.rows[0];
+}
+
+function publicNotificationSettings(row) {
+  return {
+    enabled: row.enabled,
+    digestHour: row.digest_hour,
+    timezone: BUSINESS_TIMEZONE,
+    invoiceDueDays: row.invoice_due_days,
+    chequeDueDays: row.cheque_due_days,
+    issuePendingDays: row.issue_pending_days,
+    emailRecipients: row.email_recipients,
+    messageRecipients: row.message_recipients,
+    updatedAt: row.updated_at
+  };
+}
+
+// Everything the digest for `today` lists, with the day counts it was built with
+async function collectDigestItems(today, settings) {
+  const dateAfter = days => new Date(Date.parse(today) + days * 86400000).toISOString().split('T')[0];
+
+  const [invoices, cheques, issues, stores] = await Promise.all([
+    // Invoices already covered by uncleared cheques are left out
+    query(`
+      SELECT inv.id, inv.store_id, inv.store_name, inv.vendor_name, inv.invoice_number,
+             to_char(inv.effective_due_date, 'YYYY-MM-DD') AS due_date,
+             inv.outstanding - inv.pending_cheques AS amount_due
+      FROM (${INVOICE_BALANCES_SQL}) inv
+      WHERE inv.outstanding - inv.pending_cheques > 0
+        AND inv.effective_due_date >= $1::date AND inv.effective_due_date <= $2::date
+      ORDER BY inv.effective_due_date, inv.vendor_name, inv.id
+    `, [today, dateAfter(settings.invoice_due_days)]),
+    query(`
+      SELECT p.id, i.store_id, st.name AS store_name, v.name AS vendor_name, i.invoice_number,
+             p.cheque_number, p.payment_amount, to_char(p.cheque_date, 'YYYY-MM-DD') AS cheque_date
+      FROM invoice_payments p
+      JOIN invoices i ON i.id = p.invoice_id
+      JOIN stores st ON st.id = i.store_id
+      LEFT JOIN vendors v ON v.id = i.vendor_id
+      WHERE p.payment_method = 'cheque' AND p.cheque_status = 'issued'
+        AND p.cheque_date >= $1 AND p.cheque_date <= $2
+      ORDER BY p.cheque_date, p.id
+    `, [today, dateAfter(settings.cheque_due_days)]),
+    query(`
+      SELECT s.id, s.store_id, st.name AS store_name, v.name AS vendor_name, s.product_name, s.status,
+             to_char(COALESCE(s.date_found, s.created_at), 'YYYY-MM-DD') AS date_found
+      FROM issues s
+      JOIN stores st ON st.id = s.store_id
+      LEFT JOIN vendors v ON v.id = s.vendor_id
+      WHERE s.status IN (${ISSUE_OPEN_SQL_LIST}) AND COALESCE(s.date_found, s.created_at) < $1
+      ORDER BY COALESCE(s.date_found, s.created_at), s.id
+    `, [dateAfter(-settings.issue_pending_days)]),
+    query('SELECT id, name FROM stores WHERE active = TRUE ORDER BY id')
+  ]);
+
+  const visitsDue = [];
+  for (const store of stores.rows) {
+    (await fetchVisitDueDates(store.id)).forEach(vendor => {
+      if (!vendor.due || vendor.due > today) return;
+      visitsDue.push({
+        storeId: store.id,
+        storeName: store.name,
+        vendorId: vendor.id,
+        vendorName: vendor.name,
+        phone: vendor.phone || '',
+        dueDate: vendor.due,
+        daysOverdue: daysBetween(vendor.due, today)
+      });
+    });
+  }
+
+  return {
+    windows: {
+      invoiceDueDays: settings.invoice_due_days,
+      chequeDueDays: settings.cheque_due_days,
+      issuePendingDays: settings.issue_pending_days
+    },
+    invoicesDue: invoices.rows.map(row => ({
+      storeId: row.store_id,
+      storeName: row.store_name,
+      invoiceId: row.id,
+      vendorName: row.vendor_name,
+      invoiceNumber: row.invoice_number,
+      dueDate: row.due_date,
+      amountDue: parseFloat(row.amount_due)
+    })),
+    chequesMaturing: cheques.rows.map(row => ({
+      storeId: row.store_id,
+      storeName: row.store_name,
+      paymentId: row.id,
+      vendorName: row.vendor_name,
+      invoiceNumber: row.invoice_number,
+      chequeNumber: row.cheque_number,
+      chequeDate: row.cheque_date,
+      amount: parseFloat(row.payment_amount)
+    })),
+    visitsDue,
+    issuesPending: issues.rows.map(row => ({
+      storeId: row.store_id,
+      storeName: row.store_name,
+      issueId: row.id,
+      vendorName: row.vendor_name,
+      productName: row.product_name,
+      status: row.status,
+      dateFound: row.date_found,
+      daysOpen: daysBetween(row.date_found, today)
+    }))
+  };
+}
+
+function digestItemCount(items) {
+  return DIGEST_SECTIONS.reduce((count, section) => count + items[section.key].length, 0);
+}
+
+// The digest as plain text, for email and messages alike. Items are labelled with their
+// store when the digest covers more than one.
+function digestText(digestDate, items) {
+  const storeIds = new Set(DIGEST_SECTIONS.flatMap(section => items[section.key].map(item => String(item.storeId))));
+  const lines = [`Reminders for ${displayDate(digestDate)}`];
+  DIGEST_SECTIONS.forEach(section => {
+    if (items[section.key].length === 0) return;
+    lines.push('', `${section.title(items.windows)} (${items[section.key].length})`);
+    items[section.key].forEach(item => {
+      lines.push(`- ${storeIds.size > 1 ? `[${item.storeName}] ` : ''}${section.line(item)}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+// Build the digest for `today` unless there is one, and queue it for every recipient.
+// The unique digest_date keeps two servers from both building it. Returns the new
+// digest, or null if it already existed.
+async function createDailyDigest(today, settings) {
+  const existing = await query('SELECT id FROM notification_digests WHERE digest_date = $1', [today]);
+  if (existing.rows.length > 0) return null;
+
+  const items = await collectDigestItems(today, settings);
+  const itemCount = digestItemCount(items);
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO notification_digests (digest_date, item_count, items) VALUES ($1, $2, $3)
+      ON CONFLICT (digest_date) DO NOTHING
+      RETURNING id
+    `, [today, itemCount, JSON.stringify(items)]);
+    if (result.rows.length === 0) return null;
+
+    const digest = {id: result.rows[0].id, digestDate: today, itemCount, queued: 0};
+    if (itemCount === 0) return digest;
+    const subject = `Reminders for ${displayDate(today)}: ${itemCount} item${itemCount === 1 ? '' : 's'} need attention`;
+    const body = digestText(today, items);
+    for (const [name, channel] of Object.entries(NOTIFICATION_CHANNELS)) {
+      for (const recipient of settings[channel.recipients.column]) {
+        await client.query(
+          `INSERT INTO notification_outbox (digest_id, channel, recipient, subject, body)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [digest.id, name, recipient, subject, body]
+        );
+        digest.queued++;
+      }
+    }
+    return digest;
+  });
+}
+
+// Send every outbox message that is due. Each message is claimed by bumping its attempt
+// count first, so a message is never sent twice by two servers working the outbox at once.
+async function deliverNotifications() {
+  const due = await query(`
+    SELECT * FROM notification_outbox
+    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+    ORDER BY id LIMIT 50
+  `);
+
+  const outcome = {sent: 0, failed: 0};
+  for (const message of due.rows) {
+    const attempts = message.attempts + 1;
+    const claimed = await query(`
+      UPDATE notification_outbox
+      SET attempts = $2, next_attempt_at = CURRENT_TIMESTAMP + $3::interval
+      WHERE id = $1 AND status = 'pending' AND attempts = $4
+      RETURNING id
+    `, [message.id, attempts, `${NOTIFICATION_RETRY_MINUTES * 2 ** message.attempts} minutes`, message.attempts]);
+    if (claimed.rows.length === 0) continue;
+
+    const channel = NOTIFICATION_CHANNELS[message.channel];
+    try {
+      if (!channel) throw new Error(`Unknown channel ${message.channel}`);
+      if (!channel.configured()) throw new Error(`${channel.label} is not set up on the server (set ${channel.requirement})`);
+      await channel.send(message.recipient, {subject: message.subject, text: message.body});
+      await query("UPDATE notification_outbox SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1", [message.id]);
+      outcome.sent++;
+    } catch (error) {
+      console.warn(`⚠️ ${message.channel} reminder to ${message.recipient} failed (attempt ${attempts}):`, error.message);
+      await query('UPDATE notification_outbox SET status = $2, last_error = $3 WHERE id = $1', [
+        message.id, attempts >= NOTIFICATION_MAX_ATTEMPTS ? 'failed' : 'pending', error.message
+      ]);
+      outcome.failed++;
+    }
+  }
+  return outcome;
+}
+
+// Build today's digest once the digest hour has come in BUSINESS_TIMEZONE (any time with
+// ignoreHour) and work the outbox. Calls that overlap within this process share one run.
+let notificationRun = null;
+
+function runNotifications({ignoreHour = false} = {}) {
+  if (!notificationRun) {
+    notificationRun = (async () => {
+      const settings = await fetchNotificationSettings();
+      const now = businessClock(new Date());
+      const digest = settings.enabled && (ignoreHour || now.hour >= settings.digest_hour)
+        ? await createDailyDigest(now.date, settings)
+        : null;
+      if (digest) console.log(`🔔 Reminder digest for ${digest.digestDate}: ${digest.itemCount} items, ${digest.queued} messages queued`);
+      return {digest, ...(await deliverNotifications())};
+    })().finally(() => {
+      notificationRun = null;
+    });
+  }
+  return notificationRun;
+}
+
+function startNotificationScheduler() {
+  const tick = () => runNotifications().catch(error => console.error('❌ Reminder run failed:', error.message));
+  setInterval(tick, NOTIFICATION_CHECK_MINUTES * 60 * 1000).unref();
+  tick();
+}
+
+// Recent digests for the notification panel, limited to the request's store
+app.get('/api/notifications', requirePermission('data:read'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, to_char(digest_date, 'YYYY-MM-DD') AS digest_date, items, created_at
+      FROM notification_digests
+      ORDER BY digest_date DESC
+      LIMIT ${NOTIFICATION_PANEL_DAYS}
+    `);
+    const seenAt = req.user.notifications_seen_at;
+    const inStore = item => !req.store || String(item.storeId) === String(req.store.id);
+
+    const digests = result.rows.map(row => {
+      const sections = DIGEST_SECTIONS.map(section => ({
+        key: section.key,
+        title: section.title(row.items.windows),
+        items: row.items[section.key].filter(inStore).map(item => ({...item, text: section.line(item)}))
+      }));
+      const itemCount = sections.reduce((count, section) => count + section.items.length, 0);
+      return {
+        id: row.id,
+        digestDate: row.digest_date,
+        createdAt: row.created_at,
+        itemCount,
+        unread: itemCount > 0 && (!seenAt || row.created_at > seenAt),
+        sections: sections.filter(section => section.items.length > 0)
+      };
+    });
+
+    res.json({success: true, digests, unread: digests.filter(digest => digest.unread).length});
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    sendError(res, error, 'fetch notifications');
+  }
+});
+
+// Mark every digest so far as read by the current user
+app.post('/api/notifications/seen', requirePermission('data:read'), async (req, res) => {
+  try {
+    await query('UPDATE users SET notifications_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [req.user.id]);
+    res.json({success: true});
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error);
+    sendError(res, error, 'mark notifications read');
+  }
+});
+
+function notificationChannelStatus() {
+  return Object.entries(NOTIFICATION_CHANNELS).map(([name, channel]) => ({
+    channel: name,
+    label: channel.label,
+    configured: channel.configured(),
+    requirement: channel.requirement
+  }));
+}
+
+app.get('/api/notifications/settings', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const settings = await fetchNotificationSettings();
+    res.json({success: true, settings: publicNotificationSettings(settings), channels: notificationChannelStatus()});
+  } catch (error) {
+    console.error('❌ Error fetching notification settings:', error);
+    sendError(res, error, 'fetch notification settings');
+  }
+});
+
+// Recipient lists may be sent as arrays or as comma/newline separated text
+const updateNotificationSettings = async (req, res) => {
+  try {
+    const update = buildUpdate(req.body, NOTIFICATION_SETTINGS_FIELDS);
+    Object.values(NOTIFICATION_CHANNELS).forEach(({recipients}) => {
+      if (!(recipients.key in req.body)) return;
+      const raw = req.body[recipients.key];
+      const list = [...new Set((Array.isArray(raw) ? raw : String(raw || '').split(/[,;\n]/))
+        .map(recipient => String(recipient).trim())
+        .filter(Boolean))];
+      const invalid = list.filter(recipient => !recipients.valid(recipient));
+      if (invalid.length > 0) {
+        return addFieldError(update, recipients.key, `${recipients.label}: ${invalid.join(', ')} ${invalid.length === 1 ? 'is' : 'are'} not valid`);
+      }
+      update.values.push(list);
+      update.sets.push(`${recipients.column} = $${update.values.length}`);
+    });
+    if (update.errors.length > 0) {
+      return sendValidationErrors(res, update);
+    }
+    if (update.sets.length === 0) {
+      return res.status(400).json({error: 'No fields to update'});
+    }
+
+    const settings = await updateRecord(req, 'notification_settings', 1, update);
+    console.log('✅ Notification settings updated');
+    res.json({success: true, settings: publicNotificationSettings(settings), channels: notificationChannelStatus()});
+  } catch (error) {
+    console.error('❌ Error updating notification settings:', error);
+    sendError(res, error, 'update notification settings');
+  }
+};
+
+app.put('/api/notifications/settings', requirePermission('notifications:manage'), updateNotificationSettings);
+app.patch('/api/notifications/settings', requirePermission('notifications:manage'), updateNotificationSettings);
+
+// Latest outbox messages, newest first; ?status=pending|sent|failed narrows them down
+app.get('/api/notifications/outbox', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const status = normalizeField({label: 'Status', oneOf: ['pending', 'sent', 'failed']}, req.query.status);
+    if (status.error) {
+      return sendValidationErrors(res, {errors: [status.error], fields: {status: status.error}});
+    }
+    const result = await query(`
+      SELECT o.id, o.channel, o.recipient, o.subject, o.status, o.attempts, o.last_error,
+             o.next_attempt_at, o.sent_at, o.created_at, to_char(d.digest_date, 'YYYY-MM-DD') AS digest_date
+      FROM notification_outbox o
+      JOIN notification_digests d ON d.id = o.digest_id
+      WHERE $1::text IS NULL OR o.status = $1
+      ORDER BY o.id DESC
+      LIMIT 100
+    `, [status.value]);
+    res.json({success: true, messages: result.rows});
+  } catch (error) {
+    console.error('❌ Error fetching notification outbox:', error);
+    sendError(res, error, 'fetch notification outbox');
+  }
+});
+
+// Send a failed or waiting message again now, with a fresh set of attempts
+app.post('/api/notifications/outbox/:id/retry', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status <> 'sent'
+      RETURNING id
+    `, [req.params.id]);
+    if (result.rows.length === 0) {
+      const exists = await query('SELECT id FROM notification_outbox WHERE id = $1', [req.params.id]);
+      return exists.rows.length > 0
+        ? res.status(409).json({error: 'This message has already been sent'})
+        : res.status(404).json({error: 'Message not found'});
+    }
+
+    // A run already under way picked its messages before this one was reset, so let it
+    // finish and then start one that will see it
+    if (notificationRun) await notificationRun.catch(() => {});
+    await runNotifications();
+    const message = await query('SELECT * FROM notification_outbox WHERE id = $1', [req.params.id]);
+    res.json({success: true, message: message.rows[0]});
+  } catch (error) {
+    console.error('❌ Error retrying notification:', error);
+    sendError(res, error, 'retry notification');
+  }
+});
+
+// Build today's digest now, without waiting for the digest hour, and work the outbox
+app.post('/api/notifications/run', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const outcome = await runNotifications({ignoreHour: true});
+    res.json({success: true, ...outcome});
+  } catch (error) {
+    console.error('❌ Error running reminders:', error);
+    sendError(res, error, 'run reminders');
+  }
+});
+
+// For a scheduler outside the server: the scheduler's run, authorised by
+// `Authorization: Bearer <CRON_SECRET>` instead of a session, which is how Vercel Cron
+// sends the secret. vercel.json calls it hourly, so the digest goes at the digest hour.
+app.get('/api/notifications/cron', async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({error: 'Authentication required'});
+  }
+
+  try {
+    const outcome = await runNotifications();
+    res.json({success: true, ...outcome});
+  } catch (error) {
+    console.error('❌ Error in reminder cron run:', error);
+    sendError(res, error, 'run reminders');
+  }
+});
+
+// ===== Bulk import =====
+
+// What each import accepts. Brands and invoices name their vendor instead of
+// giving an id; the vendor has to exist already (import vendors first).
+const VENDOR_NAME_FIELD = {label: 'Vendor', required: true, maxLength: 255};
+const withoutVendorId = (fields) => Object.fromEntries(Object.entries(fields).filter(([key]) => key !== 'vendorId'));
+const IMPORT_TYPES = {
+  vendors: {
+    table: 'vendors',
+    permission: 'vendors:write',
+    fields: VENDOR_FIELDS,
+    // Same defaults as adding a vendor by hand
+    defaults: {paymentTerms: 'advance', visitFrequency: 'weekly', hasDisplay: 'no'}
+  },
+  brands: {
+    table: 'brands',
+    permission: 'brands:write',
+    fields: {vendorName: VENDOR_NAME_FIELD, ...withoutVendorId(BRAND_FIELDS)},
+    defaults: {category: 'groceries'}
+  },
+  invoices: {
+    table: 'invoices',
+    permission: 'invoices:write',
+    fields: {vendorName: VENDOR_NAME_FIELD, ...withoutVendorId(INVOICE_FIELDS)},
+    defaults: {},
+    // Imported into the request's store
+    perStore: true
+  }
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Check every row the way the database would (required fields, allowed values,
+// numbers, dates), plus duplicates against existing data and earlier rows in
+// the same file. Rows of a per-store type are checked as going into storeId.
+// Returns one result per row, in order.
+async function validateImportRows(db, type, rows, storeId) {
+  const config = IMPORT_TYPES[type];
+  const fields = Object.fromEntries(Object.entries(config.fields).filter(([key]) => key !== 'vendorName'));
+
+  const vendorsResult = await db.query('SELECT id, name FROM vendors');
+  const vendorIds = new Map(vendorsResult.rows.map(vendor => [vendor.name.trim().toLowerCase(), vendor.id]));
+
+  // Keys already taken, in the same shape as rowKey() below
+  const taken = new Map();
+  if (type === 'vendors') {
+    vendorsResult.rows.forEach(vendor => taken.set(vendor.name.trim().toLowerCase(), 'existing'));
+  } else if (type === 'brands') {
+    const existing = await db.query('SELECT vendor_id, name FROM brands');
+    existing.rows.forEach(brand => taken.set(`${brand.vendor_id}:${brand.name.trim().toLowerCase()}`, 'existing'));
+  } else {
+    const existing = await db.query('SELECT vendor_id, invoice_number FROM invoices');
+    existing.rows.forEach(invoice => taken.set(`${invoice.vendor_id}:${invoice.invoice_number.trim().toLowerCase()}`, 'existing'));
+  }
+  const purchaseOrders = new Map();
+  if (type === 'invoices') {
+    const result = await db.query('SELECT id, vendor_id, store_id FROM purchase_orders');
+    result.rows.forEach(po => purchaseOrders.set(Number(po.id), po));
+  }
+  const rowKey = (values) => {
+    if (type === 'vendors') return values.name.toLowerCase();
+    if (type === 'brands') return `${values.vendor_id}:${values.name.toLowerCase()}`;
+    return `${values.vendor_id}:${values.invoice_number.toLowerCase()}`;
+  };
+
+  return rows.map((raw, index) => {
+    const body = {...config.defaults};
+    Object.entries(raw || {}).forEach(([key, value]) => {
+      const spec = config.fields[key];
+      if (value === undefined || value === null || String(value).trim() === '') return;
+      // Spreadsheets often say "Credit" or "Personal Care" for credit / personal_care
+      body[key] = spec && spec.oneOf ? String(value).trim().toLowerCase().replace(/\s+/g, '_') : value;
+    });
+
+    const insert = buildInsert(body, fields);
+    const errors = [...insert.errors];
+    const values = Object.fromEntries(insert.columns.map((column, i) => [column, insert.values[i]]));
+
+    if (config.fields.vendorName) {
+      const vendorName = normalizeField(VENDOR_NAME_FIELD, body.vendorName);
+      if (vendorName.error) {
+        errors.unshift(vendorName.error);
+      } else if (!vendorIds.has(vendorName.value.toLowerCase())) {
+        errors.unshift(`Unknown vendor "${vendorName.value}"`);
+      } else {
+        values.vendor_id = vendorIds.get(vendorName.value.toLowerCase());
+      }
+    }
+
+    // Same as adding a vendor by hand: the next visit follows from the last one
+    if (type === 'vendors' && values.last_visit && !values.next_visit) {
+      values.next_visit = nextVisitDate(values.last_visit, values.visit_frequency);
+    }
+
+    if (type === 'invoices' && errors.length === 0) {
+      try {
+        checkTaxBreakdown(values, values.invoice_amount);
+      } catch (error) {
+        errors.push(...error.details);
+      }
+      if (values.po_id) {
+        const message = invoicePurchaseOrderError(purchaseOrders.get(Number(values.po_id)), {...values, store_id: storeId});
+        if (message) errors.push(message);
+      }
+    }
+
+    if (errors.length === 0) {
+      const key = rowKey(values);
+      const previous = taken.get(key);
+      if (previous === 'existing') {
+        errors.push(type === 'vendors' ? 'Vendor already exists'
+          : type === 'brands' ? 'Brand already exists for this vendor' : 'Invoice number already exists for this vendor');
+      } else if (previous !== undefined) {
+        errors.push(`Duplicate of row ${previous + 1} in this file`);
+      } else {
+        taken.set(key, index);
+      }
+    }
+
+    return {index, valid: errors.length === 0, errors, values};
+  });
+}
+
+// Preview (?dryRun=true) or import rows from an uploaded sheet. The client maps
+// sheet columns to field keys; rows that fail validation are skipped and the
+// valid ones go in together in one transaction.
+const importRows = (type) => async (req, res) => {
+  const config = IMPORT_TYPES[type];
+  const dryRun = req.query.dryRun === 'true';
+  const rows = req.body && req.body.rows;
+  console.log(`📥 POST /api/import/${type} - ${dryRun ? 'Previewing' : 'Importing'} ${Array.isArray(rows) ? rows.length : 0} rows`);
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return sendValidationErrors(res, {errors: ['No rows to import'], fields: {rows: 'No rows to import'}});
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    const message = `At most ${MAX_IMPORT_ROWS} rows can be imported at once`;
+    return sendValidationErrors(res, {errors: [message], fields: {rows: message}});
+  }
+
+  try {
+    const storeId = config.perStore ? writableStore(req) : null;
+    const summarize = (results) => ({
+      total: results.length,
+      valid: results.filter(result => result.valid).length,
+      invalid: results.filter(result => !result.valid).length,
+      rows: results.map(({index, valid, errors}) => ({index, valid, errors}))
+    });
+
+    if (dryRun) {
+      const results = await validateImportRows({query}, type, rows, storeId);
+      return res.json({success: true, dryRun: true, ...summarize(results)});
+    }
+
+    const {results, imported} = await withTransaction(async (client) => {
+      // Validate again inside the transaction so nothing changed since the preview
+      await client.query(`LOCK TABLE ${config.table} IN SHARE ROW EXCLUSIVE MODE`);
+      const validated = await validateImportRows(client, type, rows, storeId);
+      let count = 0;
+      for (const result of validated.filter(row => row.valid)) {
+        if (storeId) result.values.store_id = storeId;
+        const columns = Object.keys(result.values);
+        const inserted = await client.query(
+          `INSERT INTO ${config.table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+          columns.map(column => result.values[column])
+        );
+        await recordAudit(client, req, config.table, inserted.rows[0].id, 'create');
+        count++;
+      }
+      return {results: validated, imported: count};
+    });
+
+    console.log(`✅ Imported ${imported} ${type}`);
+    res.json({success: true, dryRun: false, imported, ...summarize(results)});
+  } catch (error) {
+    console.error(`❌ Error importing ${type}:`, error);
+    sendError(res, error, `import ${type}`);
+  }
+};
+
+// Field list for the column-mapping step of the import screen
+app.get('/api/import/fields', requirePermission('data:read'), (req, res) => {
+  const fields = Object.fromEntries(Object.entries(IMPORT_TYPES).map(([type, config]) => [
+    type,
+    Object.entries(config.fields)
+      .map(([key, spec]) => ({
+        key,
+        label: spec.label,
+        type: spec.type || 'text',
+        required: Boolean(spec.required) && !(key in config.defaults),
+        oneOf: spec.oneOf || null
+      }))
+  ]));
+  res.json({success: true, fields});
+});
+
+app.post('/api/import/vendors', requirePermission(IMPORT_TYPES.vendors.permission), importRows('vendors'));
+app.post('/api/import/brands', requirePermission(IMPORT_TYPES.brands.permission), importRows('brands'));
+app.post('/api/import/invoices', requirePermission(IMPORT_TYPES.invoices.permission), importRows('invoices'));
+
+// ===== Backup & Restore =====
+
+const BACKUP_FORMAT = 'gdees-backup';
+const BACKUP_FORMAT_VERSION = 2;
+
+// Tables included in a snapshot, parents first so a restore can insert them in order
+const BACKUP_TABLES = [
+  'stores', 'vendors', 'vendor_visits', 'brands', 'purchase_orders', 'purchase_order_items', 'goods_receipts', 'goods_receipt_items',
+  'invoices', 'invoice_items', 'payment_runs', 'invoice_payments', 'credit_notes',
+  'issue_reports', 'issues', 'display_contracts', 'rent_charges', 'rent_receipts'
+];
+
+// Foreign keys checked inside a snapshot before anything is written
+const BACKUP_REFERENCES = [
+  {table: 'brands', column: 'vendor_id', parent: 'vendors'},
+  {table: 'vendor_visits', column: 'vendor_id', parent: 'vendors'},
+  {table: 'issues', column: 'vendor_id', parent: 'vendors'},
+  {table: 'invoices', column: 'vendor_id', parent: 'vendors'},
+  {table: 'purchase_orders', column: 'vendor_id', parent: 'vendors'},
+  {table: 'purchase_order_items', column: 'po_id', parent: 'purchase_orders'},
+  {table: 'purchase_order_items', column: 'brand_id', parent: 'brands'},
+  {table: 'goods_receipts', column: 'po_id', parent: 'purchase_orders'},
+  {table: 'goods_receipt_items', column: 'grn_id', parent: 'goods_receipts'},
+  {table: 'goods_receipt_items', column: 'po_item_id', parent: 'purchase_order_items'},
+  {table: 'invoices', column: 'po_id', parent: 'purchase_orders'},
+  {table: 'issues', column: 'po_item_id', parent: 'purchase_order_items'},
+  {table: 'invoice_items', column: 'invoice_id', parent: 'invoices'},
+  {table: 'invoice_items', column: 'brand_id', parent: 'brands'},
+  {table: 'invoice_payments', column: 'invoice_id', parent: 'invoices'},
+  {table: 'invoice_payments', column: 'payment_run_id', parent: 'payment_runs'},
+  {table: 'credit_notes', column: 'invoice_id', parent: 'invoices'},
+  {table: 'issues', column: 'credit_note_id', parent: 'credit_notes'},
+  {table: 'issue_reports', column: 'vendor_id', parent: 'vendors'},
+  {table: 'issues', column: 'report_id', parent: 'issue_reports'},
+  {table: 'display_contracts', column: 'vendor_id', parent: 'vendors'},
+  {table: 'rent_charges', column: 'contract_id', parent: 'display_contracts'},
+  {table: 'rent_charges', column: 'vendor_id', parent: 'vendors'},
+  {table: 'rent_receipts', column: 'charge_id', parent: 'rent_charges'},
+  {table: 'rent_receipts', column: 'vendor_id', parent: 'vendors'},
+  {table: 'rent_receipts', column: 'invoice_payment_id', parent: 'invoice_payments'},
+  ...['invoices', 'issue_reports', 'issues', 'vendor_visits', 'purchase_orders', 'payment_runs',
+    'display_contracts', 'rent_charges', 'rent_receipts'].map(table => ({table, column: 'store_id', parent: 'stores'}))
+];
+
+// Values older snapshots may hold that the schema has since renamed
+const LEGACY_ISSUE_STATUSES = {pending: 'reported', resolved: 'written_off'};
+const BACKUP_ROW_UPGRADES = {
+  issues: row => ({...row, status: LEGACY_ISSUE_STATUSES[row.status] || row.status})
+};
+
+// Version 1 snapshots come from before there were stores: everything in them goes
+// into one store, as migration 005 did with the data already in the database. Tables
+// added while version 1 was current (visits, purchase orders, goods receipts, payment
+// runs, issue reports, rent) are missing from the older ones, and restore empty.
+function upgradeSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !snapshot.tables || typeof snapshot.tables !== 'object') return snapshot;
+  if (snapshot.formatVersion !== 1) return snapshot;
+
+  const tables = {...snapshot.tables};
+  BACKUP_TABLES.forEach(table => {
+    if (tables[table] === undefined) tables[table] = [];
+  });
+  if (snapshot.tables.stores) return {...snapshot, tables};
+
+  tables.stores = [{id: 1, name: 'Main store', code: 'MAIN', active: true}];
+  BACKUP_REFERENCES.filter(({column}) => column === 'store_id').forEach(({table}) => {
+    if (Array.isArray(tables[table])) tables[table] = tables[table].map(row => ({store_id: 1, ...row}));
+  });
+  return {...snapshot, tables};
+}
+
+// Read a whole table as JSON rows. row_to_json keeps DATE columns as plain
+// 'YYYY-MM-DD' strings, so dates survive the round trip without timezone shifts.
+async function readTableRows(db, table) {
+  const result = await db.query(`SELECT row_to_json(t) AS row FROM ${table} t ORDER BY t.id`);
+  return result.rows.map(r => r.row);
+}
+
+async function getTableColumns(db, table) {
+  const result = await db.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+    [table]
+  );
+  return result.rows.map(r => r.column_name);
+}
+
+function validateSnapshot(snapshot) {
+  const errors = [];
+
+  if (!snapshot || typeof snapshot !== 'object') {
+    return ['Backup file is not a JSON object'];
+  }
+  if (snapshot.format !== BACKUP_FORMAT) {
+    errors.push(`Unknown backup format: expected "${BACKUP_FORMAT}"`);
+  }
+  if (!Number.isInteger(snapshot.formatVersion) || snapshot.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push(`Unsupported backup format version: ${snapshot.formatVersion}`);
+  }
+  if (!snapshot.tables || typeof snapshot.tables !== 'object') {
+    errors.push('Backup has no "tables" section');
+    return errors;
+  }
+
+  const idsByTable = {};
+  BACKUP_TABLES.forEach(table => {
+    const rows = snapshot.tables[table];
+    if (!Array.isArray(rows)) {
+      errors.push(`Table "${table}" is missing or not a list`);
+      return;
+    }
+    const ids = new Set();
+    rows.forEach((row, index) => {
+      const id = Number(row && row.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        errors.push(`${table}[${index}] has an invalid id`);
+      } else if (ids.has(id)) {
+        errors.push(`${table}[${index}] duplicates id ${id}`);
+      } else {
+        ids.add(id);
+      }
+    });
+    idsByTable[table] = ids;
+  });
+
+  BACKUP_REFERENCES.forEach(({table, column, parent}) => {
+    if (!idsByTable[table] || !idsByTable[parent]) return;
+    snapshot.tables[table].forEach(row => {
+      const ref = row[column];
+      if (ref !== null && ref !== undefined && !idsByTable[parent].has(Number(ref))) {
+        errors.push(`${table} #${row.id} references missing ${parent} #${ref}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Compare the snapshot with what is in the database, table by table
+async function diffSnapshot(db, snapshot) {
+  const report = {};
+  for (const table of BACKUP_TABLES) {
+    const columns = await getTableColumns(db, table);
+    const currentRows = await readTableRows(db, table);
+    const currentById = new Map(currentRows.map(row => [Number(row.id), row]));
+    const incoming = snapshot.tables[table];
+
+    let added = 0, updated = 0, unchanged = 0;
+    const incomingIds = new Set();
+    incoming.forEach(row => {
+      const id = Number(row.id);
+      incomingIds.add(id);
+      const current = currentById.get(id);
+      if (!current) {
+        added++;
+      } else if (columns.some(col => col in row && String(row[col] ?? '') !== String(current[col] ?? ''))) {
+        updated++;
+      } else {
+        unchanged++;
+      }
+    });
+    const removed = currentRows.filter(row => !incomingIds.has(Number(row.id))).length;
+
+    report[table] = {current: currentRows.length, incoming: incoming.length, added, updated, removed, unchanged};
+  }
+  return report;
+}
+
+// Replace the contents of every backup table with the snapshot rows
+async function applySnapshot(client, snapshot) {
+  for (const table of [...BACKUP_TABLES].reverse()) {
+    await client.query(`DELETE FROM ${table}`);
+  }
+
+  for (const table of BACKUP_TABLES) {
+    const rows = snapshot.tables[table].map(BACKUP_ROW_UPGRADES[table] || (row => row));
+    if (rows.length > 0) {
+      // Only columns that exist in both the snapshot and the table; anything else keeps its default
+      const tableColumns = await getTableColumns(client, table);
+      const columns = tableColumns.filter(col => rows.some(row => col in row));
+      const columnList = columns.map(col => `"${col}"`).join(', ');
+      await client.query(
+        `INSERT INTO ${table} (${columnList}) SELECT ${columnList} FROM json_populate_recordset(NULL::${table}, $1::json)`,
+        [JSON.stringify(rows)]
+      );
+    }
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`
+    );
+  }
+}
+
+// Download a versioned JSON snapshot of all vendor and payables data
+app.get('/api/backup', requirePermission('backup:read'), async (req, res) => {
+  console.log('💾 GET /api/backup - Creating database snapshot...');
+  try {
+    const snapshot = await withTransaction(async (client) => {
+      // Repeatable read so every table comes from the same point in time
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+      const dbInfo = await client.query('SELECT current_database() as database_name');
+
+      const tables = {};
+      const counts = {};
+      for (const table of BACKUP_TABLES) {
+        tables[table] = await readTableRows(client, table);
+        counts[table] = tables[table].length;
+      }
+
+      return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        appVersion: '3.0',
+        database: dbInfo.rows[0].database_name,
+        createdAt: new Date().toISOString(),
+        counts,
+        tables
+      };
+    });
+
+    const fileName = `gdees-backup-${snapshot.createdAt.replace(/[:.]/g, '-')}.json`;
+    console.log('✅ Backup created:', snapshot.counts);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(snapshot);
+  } catch (error) {
+    console.error('❌ Error creating backup:', error);
+    sendError(res, error, 'create backup');
+  }
+});
+
+// Restore a snapshot. With ?dryRun=true only validates it and reports what would change.
+app.post('/api/restore', requirePermission('backup:restore'), async (req, res) => {
+  const snapshot = upgradeSnapshot(req.body);
+  const dryRun = req.query.dryRun === 'true';
+  console.log(`♻️ POST /api/restore - ${dryRun ? 'Dry run' : 'Restoring snapshot'} from ${snapshot && snapshot.createdAt}`);
+
+  const errors = validateSnapshot(snapshot);
+  if (errors.length > 0) {
+    console.warn('⚠️ Backup validation failed:', errors.slice(0, 5));
+    return res.status(400).json({error: 'Invalid backup file', details: errors});
+  }
+
+  try {
+    if (dryRun) {
+      const changes = await diffSnapshot({query}, snapshot);
+      return res.json({success: true, dryRun: true, createdAt: snapshot.createdAt, changes});
+    }
+
+    const changes = await withTransaction(async (client) => {
+      const report = await diffSnapshot(client, snapshot);
+      await applySnapshot(client, snapshot);
+      // audit_log is not part of the snapshot, so the history before the restore is kept
+      await insertAuditEntry(client, req, {
+        entityType: 'database',
+        action: 'restore',
+        after: {createdAt: snapshot.createdAt, changes: report}
+      });
+      return report;
+    });
+
+    console.log('✅ Snapshot restored:', changes);
+    res.json({success: true, dryRun: false, createdAt: snapshot.createdAt, changes});
+  } catch (error) {
+    console.error('❌ Error restoring backup:', error);
+    sendError(res, error, 'restore backup');
+  }
+});
+
+// ===== Fallbacks =====
+
+// Unknown API routes answer in the same JSON shape as everything else
+app.use('/api', (req, res) => {
+  res.status(404).json({error: `No API route for ${req.method} ${req.baseUrl}${req.path}`});
+});
+
+// Bodies express.json rejects before any route runs
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({error: 'Request body is not valid JSON', details: [error.message]});
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({error: 'Request body is too large'});
   }
+  console.error('❌ Unhandled error:', error);
+  res.status(error.status || 500).json({error: 'Unexpected error: ' + error.message});
 });
 
 module.exports = app;
\ No newline at end of file
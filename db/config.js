@@ -0,0 +1,36 @@
+// config.js - PostgreSQL connection settings shared by the server and the migration CLI
+require('dotenv').config(); // Load environment variables from .env file
+
+// Parse POSTGRES_URL or use individual environment variables
+let dbConfig;
+if (process.env.POSTGRES_URL) {
+  dbConfig = {
+    connectionString: process.env.POSTGRES_URL,
+    ssl: false // Set to true if you need SSL
+  };
+  console.log('📡 Using POSTGRES_URL for connection');
+} else if (process.env.POSTGRES_HOST || process.env.DB_HOST) {
+  dbConfig = {
+    user: process.env.POSTGRES_USER || process.env.DB_USER || 'postgres',
+    password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
+    host: process.env.POSTGRES_HOST || process.env.DB_HOST,
+    port: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
+    database: process.env.POSTGRES_DATABASE || process.env.DB_NAME || 'gdees',
+    ssl: false
+  };
+  console.log('📡 Using individual environment variables for connection');
+} else {
+  // No built-in default: a server or migration run without settings must not reach some other database
+  console.error('❌ No database connection settings. Set POSTGRES_URL, or POSTGRES_HOST with POSTGRES_USER, '
+    + 'POSTGRES_PASSWORD and POSTGRES_DATABASE, in the environment or in .env');
+  process.exit(1);
+}
+
+console.log('🔍 Database Config:', {
+  host: dbConfig.host || 'from connection string',
+  port: dbConfig.port || 'from connection string',
+  database: dbConfig.database || 'from connection string',
+  user: dbConfig.user || 'from connection string'
+});
+
+module.exports = dbConfig;
@@ -0,0 +1,209 @@
+// migrate.js - Versioned schema migrations for the PostgreSQL database
+//
+// Migrations live in db/migrations as NNN_description.js, each exporting async
+// up(client) and down(client). Applied versions are recorded in schema_migrations,
+// and every migration runs in its own transaction together with that record.
+//
+//   npm run migrate                        apply all pending migrations
+//   npm run migrate -- up 3                apply pending migrations up to version 3
+//   npm run migrate:down                   roll back the latest migration
+//   npm run migrate:down -- 2              roll back the latest two
+//   npm run migrate:status                 list applied and pending migrations
+//   npm run migrate:create -- add_column   write a new, empty migration
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Held while migrating so two deploys can't run the same migration at once.
+// Any fixed number works as long as every process uses the same one.
+const MIGRATION_LOCK_ID = 70190001;
+
+// Migration files in version order
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(match => ({version: parseInt(match[1], 10), name: match[2], file: match[0]}))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    const previous = migrations[index - 1];
+    if (previous && previous.version === migration.version) {
+      throw new Error(`Two migrations are numbered ${migration.version}: ${previous.file} and ${migration.file}`);
+    }
+  });
+  return migrations;
+}
+
+function requireMigration(migration) {
+  const script = require(path.join(MIGRATIONS_DIR, migration.file));
+  if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+    throw new Error(`${migration.file} must export up(client) and down(client)`);
+  }
+  return script;
+}
+
+// Applied and pending migrations. Read-only, so the server can call it on start-up.
+// `unknown` lists versions recorded in the database that have no file here, which
+// means the database was migrated by newer code.
+async function migrationStatus(db) {
+  const migrations = loadMigrations();
+  const tableExists = (await db.query(
+    "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'schema_migrations'"
+  )).rows.length > 0;
+  const applied = tableExists
+    ? (await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')).rows
+      .map(row => ({version: parseInt(row.version, 10), name: row.name, appliedAt: row.applied_at}))
+    : [];
+
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+  return {
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+// Run a callback on one client holding the migration lock
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Run one migration step and its bookkeeping in a transaction
+async function runStep(client, migration, direction) {
+  const script = requireMigration(migration);
+  try {
+    await client.query('BEGIN');
+    await script[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${migration.file} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Apply pending migrations in order, up to and including targetVersion. Returns those applied.
+async function migrateUp(pool, targetVersion = Infinity) {
+  return withMigrationLock(pool, async (client) => {
+    const {pending} = await migrationStatus(client);
+    const toApply = pending.filter(migration => migration.version <= targetVersion);
+    for (const migration of toApply) {
+      console.log(`⬆️  Applying ${migration.file}`);
+      await runStep(client, migration, 'up');
+    }
+    return toApply;
+  });
+}
+
+// Roll back the latest `steps` applied migrations, newest first. Returns those rolled back.
+async function migrateDown(pool, steps = 1) {
+  return withMigrationLock(pool, async (client) => {
+    const {applied} = await migrationStatus(client);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse().map(row => {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Version ${row.version} (${row.name}) has no migration file here, so it can't be rolled back`);
+      }
+      return migration;
+    });
+    for (const migration of toRevert) {
+      console.log(`⬇️  Rolling back ${migration.file}`);
+      await runStep(client, migration, 'down');
+    }
+    return toRevert;
+  });
+}
+
+// Write an empty migration numbered after the latest one. Returns its path.
+function createMigration(name) {
+  if (!/^\w+$/.test(name || '')) {
+    throw new Error('Give the migration a name made of letters, digits and underscores, e.g. add_vendor_rating');
+  }
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${name}.js`);
+  fs.writeFileSync(file, `// ${path.basename(file)}
+
+async function up(client) {
+}
+
+async function down(client) {
+}
+
+module.exports = {up, down};
+`);
+  return file;
+}
+
+const USAGE = 'Usage: node db/migrate.js [up [version] | down [steps] | status | create <name>]';
+
+function parseCount(value, label) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`${label} must be a whole number of at least 1\n${USAGE}`);
+  return number;
+}
+
+async function main([command = 'up', arg]) {
+  if (command === 'create') {
+    console.log(`📝 Created ${createMigration(arg)}`);
+    return;
+  }
+  if (!['up', 'down', 'status'].includes(command)) throw new Error(`Unknown command "${command}"\n${USAGE}`);
+
+  const {Pool} = require('pg');
+  const pool = new Pool(require('./config'));
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool, parseCount(arg, 'Version'));
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(pool, parseCount(arg, 'Steps') || 1);
+      console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+    } else {
+      const {applied, pending, unknown} = await migrationStatus(pool);
+      applied.forEach(row => console.log(`✅ ${String(row.version).padStart(3, '0')}_${row.name}  applied ${new Date(row.appliedAt).toISOString()}`));
+      pending.forEach(migration => console.log(`⏳ ${migration.file}  pending`));
+      if (unknown.length > 0) console.log(`⚠️  Applied but missing here: ${unknown.map(row => row.version).join(', ')}`);
+      console.log(pending.length > 0 ? `${pending.length} migration(s) pending` : 'Schema is up to date');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {loadMigrations, migrationStatus, migrateUp, migrateDown, createMigration};
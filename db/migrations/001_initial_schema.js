@@ -0,0 +1,417 @@
+// 001_initial_schema.js - The schema as it stood when migrations were introduced.
+// Written to be safe on databases created by the old start-up initialisation:
+// everything is IF NOT EXISTS, and the older upgrades (issue statuses, display rent
+// contracts, cheque statuses) only change rows that still need them.
+
+async function up(client) {
+  // Create vendors table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS vendors (
+      id BIGSERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      contact_person VARCHAR(255),
+      phone VARCHAR(50),
+      email VARCHAR(255),
+      payment_terms VARCHAR(50) DEFAULT 'advance' CHECK (payment_terms IN ('advance', 'credit', 'mixed')),
+      visit_frequency VARCHAR(50) DEFAULT 'weekly' CHECK (visit_frequency IN ('daily', 'weekly', 'biweekly', 'monthly')),
+      last_visit DATE,
+      next_visit DATE,
+      has_display VARCHAR(10) DEFAULT 'no' CHECK (has_display IN ('yes', 'no')),
+      display_rent DECIMAL(10,2) DEFAULT 0,
+      terms_conditions TEXT,
+      remarks TEXT,
+      status VARCHAR(50) DEFAULT 'active',
+      date_added DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create brands table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS brands (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      sku VARCHAR(100),
+      category VARCHAR(100) DEFAULT 'groceries' CHECK (category IN ('groceries', 'dairy', 'beverages', 'snacks', 'personal_care', 'household', 'bakery', 'frozen', 'other')),
+      date_added DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create issues table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS issues (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      product_name VARCHAR(255) NOT NULL,
+      issue_type VARCHAR(100) NOT NULL CHECK (issue_type IN ('expired', 'damaged', 'defective', 'wrong_delivery', 'poor_quality', 'short_delivery', 'other')),
+      quantity INTEGER DEFAULT 1,
+      date_found DATE DEFAULT CURRENT_DATE,
+      estimated_loss DECIMAL(10,2) DEFAULT 0,
+      description TEXT,
+      status VARCHAR(50) DEFAULT 'reported' CHECK (status IN ('reported', 'vendor_notified', 'picked_up', 'credited', 'replaced', 'written_off')),
+      resolved_date DATE,
+      date_added DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create invoice_payments table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      invoice_number VARCHAR(100) NOT NULL,
+      invoice_date DATE NOT NULL,
+      invoice_amount DECIMAL(12,2) NOT NULL,
+      total_items INTEGER DEFAULT 0,
+      due_date DATE,
+        invoice_status VARCHAR(50) DEFAULT 'pending' 
+            CHECK (invoice_status IN ('pending', 'paid', 'partial', 'overdue')),
+      date_added DATE DEFAULT CURRENT_DATE,
+      last_updated DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(vendor_id, invoice_number)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS invoice_payments (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id BIGINT REFERENCES invoices(id) ON DELETE CASCADE,
+        payment_date DATE NOT NULL,
+        payment_amount DECIMAL(12,2) NOT NULL,
+        payment_method VARCHAR(50) CHECK (payment_method IN ('cheque', 'cash', 'online', 'card', '')),
+        cheque_number VARCHAR(100),
+        cheque_date DATE,
+        payment_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS credit_notes (
+      id BIGSERIAL PRIMARY KEY,
+      invoice_id BIGINT REFERENCES invoices(id) ON DELETE CASCADE,
+      crn_number VARCHAR(100) NOT NULL,
+      credit_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      credit_amount DECIMAL(12,2) NOT NULL,
+      items_returned INTEGER DEFAULT 0,
+      return_reason TEXT,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(crn_number)
+    );`);
+
+
+  // Create indexes for better performance
+  await client.query('CREATE INDEX IF NOT EXISTS idx_vendors_name ON vendors(name)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_brands_vendor_id ON brands(vendor_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issues_vendor_id ON issues(vendor_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issues_status ON issues(status)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoice_payments_vendor_id ON invoice_payments(invoice_id)');
+
+  // Create users and sessions tables for API login
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id BIGSERIAL PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      display_name VARCHAR(255),
+      password_hash TEXT NOT NULL,
+      role VARCHAR(50) NOT NULL DEFAULT 'staff' CHECK (role IN ('owner', 'accountant', 'staff')),
+      active BOOLEAN DEFAULT TRUE,
+      last_login TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id BIGSERIAL PRIMARY KEY,
+      user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(128) NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)');
+
+  // Credit period used for aging when an invoice has no due date of its own
+  await client.query('ALTER TABLE vendors ADD COLUMN IF NOT EXISTS credit_days INTEGER DEFAULT 0 CHECK (credit_days >= 0)');
+
+  // Issue resolution workflow. Older databases only had pending/resolved; how a
+  // resolved issue was settled was never recorded, so those count as written off.
+  await client.query('ALTER TABLE issues DROP CONSTRAINT IF EXISTS issues_status_check');
+  await client.query("UPDATE issues SET status = 'reported' WHERE status = 'pending'");
+  await client.query("UPDATE issues SET status = 'written_off' WHERE status = 'resolved'");
+  await client.query(`ALTER TABLE issues ADD CONSTRAINT issues_status_check
+    CHECK (status IN ('reported', 'vendor_notified', 'picked_up', 'credited', 'replaced', 'written_off'))`);
+  await client.query("ALTER TABLE issues ALTER COLUMN status SET DEFAULT 'reported'");
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS status_date DATE');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS credit_note_id BIGINT REFERENCES credit_notes(id) ON DELETE SET NULL');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS recovered_amount DECIMAL(10,2) CHECK (recovered_amount >= 0)');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS resolution_notes TEXT');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issues_credit_note_id ON issues(credit_note_id)');
+
+  // Issue reports: one header per batch of issues found together, which is also
+  // what goes back to the vendor on a return slip
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS issue_reports (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      report_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issue_reports_vendor_id ON issue_reports(vendor_id)');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS report_id BIGINT REFERENCES issue_reports(id) ON DELETE SET NULL');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS unit_price DECIMAL(10,2) CHECK (unit_price >= 0)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issues_report_id ON issues(report_id)');
+
+  // Vendor visits: each time a rep came in, who it was and whether an order was placed
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS vendor_visits (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      visit_date DATE NOT NULL,
+      visitor_name VARCHAR(255),
+      order_placed BOOLEAN DEFAULT false,
+      order_amount DECIMAL(12,2) CHECK (order_amount >= 0),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_vendor_visits_vendor_id ON vendor_visits(vendor_id, visit_date)');
+
+  // Display rent: contracts for shelf/display space, a rent charge per contract per
+  // month, and receipts against those charges. Money flows from the vendor to us.
+  const contractsExisted = (await client.query(
+    "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'display_contracts'"
+  )).rows.length > 0;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS display_contracts (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      location VARCHAR(255) NOT NULL,
+      shelf VARCHAR(100),
+      start_date DATE NOT NULL,
+      end_date DATE,
+      monthly_rent DECIMAL(10,2) NOT NULL CHECK (monthly_rent > 0),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (end_date IS NULL OR end_date >= start_date)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_display_contracts_vendor_id ON display_contracts(vendor_id)');
+  if (!contractsExisted) {
+    // The old single display_rent figure becomes an open-ended contract from when the vendor was added
+    await client.query(`
+      INSERT INTO display_contracts (vendor_id, location, start_date, monthly_rent, notes)
+      SELECT id, 'Display space', COALESCE(date_added, CURRENT_DATE), display_rent, 'Created from the vendor''s display rent'
+      FROM vendors WHERE display_rent > 0
+    `);
+  }
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rent_charges (
+      id BIGSERIAL PRIMARY KEY,
+      contract_id BIGINT NOT NULL REFERENCES display_contracts(id),
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      period_month DATE NOT NULL,
+      amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+      due_date DATE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (contract_id, period_month)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rent_charges_vendor_id ON rent_charges(vendor_id)');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rent_receipts (
+      id BIGSERIAL PRIMARY KEY,
+      charge_id BIGINT REFERENCES rent_charges(id) ON DELETE CASCADE,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      receipt_date DATE NOT NULL,
+      amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+      payment_method VARCHAR(50) NOT NULL CHECK (payment_method IN ('cash', 'online', 'cheque', 'card', 'set_off')),
+      reference VARCHAR(100),
+      invoice_payment_id BIGINT REFERENCES invoice_payments(id) ON DELETE CASCADE,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rent_receipts_charge_id ON rent_receipts(charge_id)');
+  // Rent set off against a vendor invoice is recorded on both sides as a 'set_off' payment
+  await client.query('ALTER TABLE invoice_payments DROP CONSTRAINT IF EXISTS invoice_payments_payment_method_check');
+  await client.query(`ALTER TABLE invoice_payments ADD CONSTRAINT invoice_payments_payment_method_check
+    CHECK (payment_method IN ('cheque', 'cash', 'online', 'card', 'set_off', ''))`);
+
+  // Payment runs: a batch of invoice payments planned against a cash budget and committed together
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payment_runs (
+      id BIGSERIAL PRIMARY KEY,
+      run_date DATE NOT NULL,
+      payment_method VARCHAR(50) NOT NULL,
+      budget DECIMAL(12,2),
+      total_amount DECIMAL(12,2) NOT NULL,
+      payment_count INTEGER NOT NULL,
+      created_by VARCHAR(100),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS payment_run_id BIGINT REFERENCES payment_runs(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoice_payments_payment_run_id ON invoice_payments(payment_run_id)');
+
+  // GST: vendor GSTIN, and the tax split on purchase invoices and credit notes.
+  // A NULL taxable value means the breakdown hasn't been entered.
+  await client.query('ALTER TABLE vendors ADD COLUMN IF NOT EXISTS gstin VARCHAR(15)');
+  for (const table of ['invoices', 'credit_notes']) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(12,2)`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(12,2) DEFAULT 0`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(12,2) DEFAULT 0`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(12,2) DEFAULT 0`);
+  }
+
+  // Cheque lifecycle. Cheques recorded before statuses existed were counted as paid, so keep them cleared.
+  await client.query(`ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS cheque_status VARCHAR(20)
+    CHECK (cheque_status IN ('issued', 'presented', 'cleared', 'bounced', 'cancelled'))`);
+  await client.query('ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS cheque_status_date DATE');
+  await client.query(`
+    UPDATE invoice_payments SET cheque_status = 'cleared', cheque_status_date = COALESCE(cheque_date, payment_date)
+    WHERE payment_method = 'cheque' AND cheque_status IS NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoice_payments_cheque_date ON invoice_payments(cheque_date)');
+
+  // Invoice line items, optionally linked to a brand from the catalogue
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS invoice_items (
+      id BIGSERIAL PRIMARY KEY,
+      invoice_id BIGINT REFERENCES invoices(id) ON DELETE CASCADE,
+      brand_id BIGINT REFERENCES brands(id) ON DELETE SET NULL,
+      description VARCHAR(255),
+      sku VARCHAR(100),
+      quantity DECIMAL(12,3) NOT NULL CHECK (quantity > 0),
+      unit_cost DECIMAL(12,2) NOT NULL CHECK (unit_cost >= 0),
+      tax_rate DECIMAL(5,2) DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+      discount DECIMAL(12,2) DEFAULT 0 CHECK (discount >= 0),
+      line_total DECIMAL(12,2) NOT NULL,
+      sort_order INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoice_items_brand_id ON invoice_items(brand_id)');
+
+  // Purchase orders and goods received notes (GRNs), matched against invoices.
+  // Short-delivery issues point back at the PO line they were raised for.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id BIGSERIAL PRIMARY KEY,
+      vendor_id BIGINT REFERENCES vendors(id) ON DELETE CASCADE,
+      po_number VARCHAR(100) NOT NULL,
+      order_date DATE NOT NULL,
+      expected_date DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'cancelled')),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (vendor_id, po_number)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id BIGSERIAL PRIMARY KEY,
+      po_id BIGINT REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      brand_id BIGINT REFERENCES brands(id) ON DELETE SET NULL,
+      description VARCHAR(255),
+      sku VARCHAR(100),
+      quantity DECIMAL(12,3) NOT NULL CHECK (quantity > 0),
+      unit_cost DECIMAL(12,2) NOT NULL CHECK (unit_cost >= 0),
+      sort_order INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po_id ON purchase_order_items(po_id)');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS goods_receipts (
+      id BIGSERIAL PRIMARY KEY,
+      po_id BIGINT REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      grn_number VARCHAR(100) NOT NULL,
+      received_date DATE NOT NULL,
+      received_by VARCHAR(255),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_goods_receipts_po_id ON goods_receipts(po_id)');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS goods_receipt_items (
+      id BIGSERIAL PRIMARY KEY,
+      grn_id BIGINT REFERENCES goods_receipts(id) ON DELETE CASCADE,
+      po_item_id BIGINT REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+      quantity_received DECIMAL(12,3) NOT NULL CHECK (quantity_received >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_goods_receipt_items_grn_id ON goods_receipt_items(grn_id)');
+  await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS po_id BIGINT REFERENCES purchase_orders(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_po_id ON invoices(po_id)');
+  await client.query('ALTER TABLE issues ADD COLUMN IF NOT EXISTS po_item_id BIGINT REFERENCES purchase_order_items(id) ON DELETE SET NULL');
+
+  // Create audit log. vendor_id/invoice_id are plain columns (no foreign keys)
+  // so the history of a deleted record is kept.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id BIGINT,
+      action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+      vendor_id BIGINT,
+      invoice_id BIGINT,
+      before_data JSONB,
+      after_data JSONB,
+      user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+      username VARCHAR(100),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_vendor_id ON audit_log(vendor_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_invoice_id ON audit_log(invoice_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)');
+
+  // Columns the paginated lists filter and sort on
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_vendor_id ON invoices(vendor_id, invoice_date)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_invoice_date ON invoices(invoice_date)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_issues_date_found ON issues(date_found)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id)');
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS audit_log, goods_receipt_items, goods_receipts, purchase_order_items, purchase_orders,
+      invoice_items, rent_receipts, rent_charges, display_contracts, vendor_visits, issue_reports,
+      user_sessions, users, credit_notes, invoice_payments, payment_runs, invoices, issues, brands, vendors
+    CASCADE
+  `);
+}
+
+module.exports = {up, down};
@@ -0,0 +1,12 @@
+// 002_rename_invoice_payments_index.js - The index on invoice_payments(invoice_id)
+// was created as idx_invoice_payments_vendor_id; give it a name that matches its column.
+
+async function up(client) {
+  await client.query('ALTER INDEX IF EXISTS idx_invoice_payments_vendor_id RENAME TO idx_invoice_payments_invoice_id');
+}
+
+async function down(client) {
+  await client.query('ALTER INDEX IF EXISTS idx_invoice_payments_invoice_id RENAME TO idx_invoice_payments_vendor_id');
+}
+
+module.exports = {up, down};
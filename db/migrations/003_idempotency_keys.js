@@ -0,0 +1,25 @@
+// 003_idempotency_keys.js - Responses to invoice, payment and credit note writes, kept
+// by the client's Idempotency-Key so a resent request is answered without writing twice.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      id BIGSERIAL PRIMARY KEY,
+      user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      idempotency_key VARCHAR(255) NOT NULL,
+      request_method VARCHAR(10) NOT NULL,
+      request_path VARCHAR(255) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      response_body JSONB,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, idempotency_key)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS idempotency_keys');
+}
+
+module.exports = {up, down};
@@ -0,0 +1,39 @@
+// 004_archive_vendors_and_brands.js - Vendors and brands are archived to a trash instead
+// of deleted, so their invoices and payments stay. vendors.status existed but was never
+// used; brands get the same column, and the audit log 'archive' and 'unarchive' actions.
+
+async function up(client) {
+  await client.query("UPDATE vendors SET status = 'active' WHERE status IS NULL OR status <> 'archived'");
+  await client.query('ALTER TABLE vendors ALTER COLUMN status SET NOT NULL');
+  await client.query("ALTER TABLE vendors ADD CONSTRAINT vendors_status_check CHECK (status IN ('active', 'archived'))");
+  await client.query('ALTER TABLE vendors ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ');
+
+  await client.query(`ALTER TABLE brands ADD COLUMN IF NOT EXISTS status VARCHAR(50) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'archived'))`);
+  await client.query('ALTER TABLE brands ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_vendors_status ON vendors(status)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_brands_status ON brands(status)');
+
+  await client.query('ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check');
+  await client.query(`ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'archive', 'unarchive'))`);
+}
+
+// Archived records come back as ordinary ones; their archive entries read as updates
+async function down(client) {
+  await client.query('ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check');
+  await client.query("UPDATE audit_log SET action = 'update' WHERE action IN ('archive', 'unarchive')");
+  await client.query(`ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore'))`);
+
+  await client.query('DROP INDEX IF EXISTS idx_brands_status');
+  await client.query('DROP INDEX IF EXISTS idx_vendors_status');
+  await client.query('ALTER TABLE brands DROP COLUMN IF EXISTS archived_at');
+  await client.query('ALTER TABLE brands DROP COLUMN IF EXISTS status');
+  await client.query('ALTER TABLE vendors DROP COLUMN IF EXISTS archived_at');
+  await client.query('ALTER TABLE vendors DROP CONSTRAINT IF EXISTS vendors_status_check');
+  await client.query('ALTER TABLE vendors ALTER COLUMN status DROP NOT NULL');
+  await client.query("UPDATE vendors SET status = 'active'");
+}
+
+module.exports = {up, down};
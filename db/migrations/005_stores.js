@@ -0,0 +1,55 @@
+// 005_stores.js - More than one store. Vendors and brands are shared across the chain;
+// invoices (and through them payments and credit notes), issues, visits, purchase orders
+// (and their GRNs), payment runs and display rent each belong to one store. Everything
+// recorded so far belongs to the store the database was set up for.
+
+// Tables that carry their own store_id
+const STORE_TABLES = [
+  'invoices', 'issue_reports', 'issues', 'vendor_visits', 'purchase_orders',
+  'payment_runs', 'display_contracts', 'rent_charges', 'rent_receipts'
+];
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stores (
+      id BIGSERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      code VARCHAR(20) UNIQUE,
+      address TEXT,
+      phone VARCHAR(50),
+      gstin VARCHAR(15),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const store = await client.query("INSERT INTO stores (name, code) VALUES ('Main store', 'MAIN') RETURNING id");
+  const storeId = store.rows[0].id;
+
+  for (const table of STORE_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS store_id BIGINT REFERENCES stores(id)`);
+    await client.query(`UPDATE ${table} SET store_id = $1 WHERE store_id IS NULL`, [storeId]);
+    await client.query(`ALTER TABLE ${table} ALTER COLUMN store_id SET NOT NULL`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_store_id ON ${table}(store_id)`);
+  }
+
+  // Each store numbers its own purchase orders
+  await client.query('ALTER TABLE purchase_orders DROP CONSTRAINT IF EXISTS purchase_orders_vendor_id_po_number_key');
+  await client.query(`ALTER TABLE purchase_orders ADD CONSTRAINT purchase_orders_store_id_vendor_id_po_number_key
+    UNIQUE (store_id, vendor_id, po_number)`);
+}
+
+// Folds every store back into one. Fails if two stores used the same PO number with a vendor.
+async function down(client) {
+  await client.query('ALTER TABLE purchase_orders DROP CONSTRAINT IF EXISTS purchase_orders_store_id_vendor_id_po_number_key');
+  await client.query(`ALTER TABLE purchase_orders ADD CONSTRAINT purchase_orders_vendor_id_po_number_key
+    UNIQUE (vendor_id, po_number)`);
+
+  for (const table of STORE_TABLES) {
+    await client.query(`DROP INDEX IF EXISTS idx_${table}_store_id`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS store_id`);
+  }
+  await client.query('DROP TABLE IF EXISTS stores');
+}
+
+module.exports = {up, down};
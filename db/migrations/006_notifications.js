@@ -0,0 +1,62 @@
+// 006_notifications.js - Daily reminder digests (invoices and cheques coming due, vendor
+// visits, issues left open) and the outbox of messages sending them out. The settings are
+// a single row; users.notifications_seen_at drives the unread count in the app.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notification_settings (
+      id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      digest_hour INTEGER NOT NULL DEFAULT 8 CHECK (digest_hour BETWEEN 0 AND 23),
+      invoice_due_days INTEGER NOT NULL DEFAULT 3 CHECK (invoice_due_days >= 0),
+      cheque_due_days INTEGER NOT NULL DEFAULT 3 CHECK (cheque_due_days >= 0),
+      issue_pending_days INTEGER NOT NULL DEFAULT 7 CHECK (issue_pending_days >= 1),
+      email_recipients TEXT[] NOT NULL DEFAULT '{}',
+      message_recipients TEXT[] NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('INSERT INTO notification_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING');
+
+  // One digest per day, however many servers run the scheduler
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notification_digests (
+      id BIGSERIAL PRIMARY KEY,
+      digest_date DATE NOT NULL UNIQUE,
+      item_count INTEGER NOT NULL DEFAULT 0,
+      items JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id BIGSERIAL PRIMARY KEY,
+      digest_id BIGINT NOT NULL REFERENCES notification_digests(id) ON DELETE CASCADE,
+      channel VARCHAR(20) NOT NULL,
+      recipient VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (digest_id, channel, recipient)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at)');
+
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS notifications_seen_at TIMESTAMP');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS notifications_seen_at');
+  await client.query('DROP TABLE IF EXISTS notification_outbox');
+  await client.query('DROP TABLE IF EXISTS notification_digests');
+  await client.query('DROP TABLE IF EXISTS notification_settings');
+}
+
+module.exports = {up, down};
@@ -0,0 +1,81 @@
+// sw.js - Service worker that keeps the app usable when the connection drops.
+//
+// The page itself and its assets are served from cache and refreshed in the background.
+// API reads go to the network first; each successful one is kept, so the last loaded
+// vendors, invoices and lists can still be shown offline. Writes are never cached here:
+// the page queues them itself and replays them when the connection is back.
+
+const APP_CACHE = "supermart-app-v1";
+// Also cleared by the page on logout, so one user's data isn't shown to the next
+const DATA_CACHE = "supermart-data";
+const APP_SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+// Downloads that are too big to keep, or only make sense fresh
+const UNCACHED_API_PATHS = ["/api/backup", "/api/auth/status"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(APP_CACHE).then((cache) => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => ![APP_CACHE, DATA_CACHE].includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.pathname.startsWith("/api/")) {
+    if (UNCACHED_API_PATHS.some((path) => url.pathname.startsWith(path))) return;
+    event.respondWith(networkFirst(request));
+  } else if (request.mode === "navigate") {
+    event.respondWith(staleWhileRevalidate(request, "/index.html"));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Fresh data when online. Offline, the last copy marked with when it was saved, or a 503
+// the page recognises as "offline" when this was never loaded.
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set("X-Cached-At", new Date().toISOString());
+      await cache.put(request, new Response(await response.clone().blob(), {status: response.status, headers}));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      const headers = new Headers(cached.headers);
+      headers.set("X-Offline", "true");
+      return new Response(cached.body, {status: cached.status, headers});
+    }
+    return new Response(JSON.stringify({error: "You are offline and this hasn't been loaded on this device before", offline: true}), {
+      status: 503,
+      headers: {"Content-Type": "application/json", "X-Offline": "true"},
+    });
+  }
+}
+
+// The cached copy straight away, updated from the network for next time
+async function staleWhileRevalidate(request, fallbackPath = null) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request, {ignoreSearch: request.mode === "navigate"}) ||
+    (fallbackPath && await cache.match(fallbackPath));
+  const fresh = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || fresh;
+}